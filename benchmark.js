@@ -0,0 +1,228 @@
+// Бенчмарк обработки Excel с названиями: запускает бота (index.js) с
+// локальными заменами Telegram Bot API и Evirma, отправляет ему
+// сгенерированный файл и проходит сценарий "Парсить Excel" -> "Заполнить
+// частоту и количество". Печатает время обработки, число запросов к Evirma
+// и пиковую память процесса бота.
+//
+// Запуск: npm run benchmark
+// BENCHMARK_ROWS - строк в файле (по умолчанию 500 000), уникальных названий
+// вдвое меньше. BENCHMARK_TIMEOUT_MIN - предел ожидания в минутах.
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const fs = require("fs").promises;
+const { spawn } = require("child_process");
+const xlsx = require("xlsx");
+
+const ROWS = parseInt(process.env.BENCHMARK_ROWS || "500000");
+const UNIQUE = Math.max(1, Math.floor(ROWS / 2));
+const TIMEOUT_MIN = parseFloat(process.env.BENCHMARK_TIMEOUT_MIN || "30");
+const TOKEN = "benchmark";
+const USER_ID = 1;
+const ACTION = "Заполнить частоту и количество";
+
+// Частоты выдумываем детерминированно по тексту запроса
+function fakeCluster(keyword) {
+  const hash = [...keyword].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return {
+    cluster: {
+      product_count: hash % 1000,
+      freq_syn: { monthly: hash * 7, weekly: hash, daily: hash % 100 },
+      freq: { monthly: hash * 5, weekly: hash },
+    },
+  };
+}
+
+async function createInputFile(dir) {
+  const rows = [["Название"]];
+  for (let i = 0; i < ROWS; i++) {
+    rows.push([`Тестовый товар ${i % UNIQUE} для бенчмарка`]);
+  }
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(
+    workbook,
+    xlsx.utils.aoa_to_sheet(rows),
+    "Товары"
+  );
+  const filePath = path.join(dir, "names.xlsx");
+  await fs.writeFile(
+    filePath,
+    xlsx.write(workbook, {
+      type: "buffer",
+      bookType: "xlsx",
+      compression: true,
+    })
+  );
+  return filePath;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Поля запроса к Bot API: JSON или форма; файлы (multipart) не разбираем
+function parseFields(req, body) {
+  const type = req.headers["content-type"] || "";
+  if (type.includes("application/json")) return JSON.parse(body.toString());
+  if (type.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(body.toString()));
+  }
+  return {};
+}
+
+// Пиковая память процесса (только Linux)
+async function readPeakMemory(pid) {
+  try {
+    const status = await fs.readFile(`/proc/${pid}/status`, "utf-8");
+    const match = status.match(/VmHWM:\s+(\d+) kB/);
+    return match ? Number(match[1]) * 1024 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function main() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "wb-benchmark-"));
+  console.log(`Генерирую файл: ${ROWS} строк, ${UNIQUE} уникальных названий`);
+  const inputPath = await createInputFile(dir);
+  const inputSize = (await fs.stat(inputPath)).size;
+
+  const updates = [];
+  let updateId = 0;
+  let messageId = 0;
+  let evirmaRequests = 0;
+  let startedAt = null;
+  let finish;
+  const finished = new Promise((resolve) => (finish = resolve));
+
+  const pushUpdate = (update) =>
+    updates.push({ update_id: ++updateId, ...update });
+  const message = (extra) => ({
+    message_id: ++messageId,
+    from: { id: USER_ID, is_bot: false, first_name: "Benchmark" },
+    chat: { id: USER_ID, type: "private" },
+    date: Math.floor(Date.now() / 1000),
+    ...extra,
+  });
+
+  // Реакция "пользователя" на сообщения бота
+  const onBotMessage = (fields) => {
+    const text = fields.text || "";
+    const markup = fields.reply_markup || "";
+    if (text.startsWith("📊 Пожалуйста, отправьте файл")) {
+      startedAt = Date.now();
+      pushUpdate({
+        message: message({
+          document: {
+            file_id: "names",
+            file_name: "names.xlsx",
+            file_size: inputSize,
+          },
+        }),
+      });
+    } else if (markup.includes("xmap:ok")) {
+      pushUpdate({
+        callback_query: {
+          id: String(updateId),
+          from: { id: USER_ID },
+          message: message({}),
+          data: "xmap:ok",
+        },
+      });
+    } else if (markup.includes(ACTION) && !text.startsWith("✅")) {
+      pushUpdate({ message: message({ text: ACTION }) });
+    } else if (text.startsWith("✅") || text.startsWith("❌")) {
+      finish(text);
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const reply = (result) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(result));
+    };
+
+    if (req.url === "/evirma") {
+      evirmaRequests++;
+      const { keywords } = JSON.parse(body.toString());
+      const data = {};
+      for (const keyword of keywords) data[keyword] = fakeCluster(keyword);
+      return reply({ data: { keywords: data } });
+    }
+    if (req.url.startsWith(`/file/bot${TOKEN}/`)) {
+      res.setHeader("Content-Type", "application/octet-stream");
+      return res.end(await fs.readFile(inputPath));
+    }
+
+    const method = req.url.split("/").pop();
+    const fields = parseFields(req, body);
+    if (method === "getUpdates") {
+      // Короткий long polling, чтобы бот не крутил запросы впустую
+      if (!updates.length) await new Promise((r) => setTimeout(r, 200));
+      return reply({ ok: true, result: updates.splice(0) });
+    }
+    if (method === "getFile") {
+      return reply({
+        ok: true,
+        result: { file_id: fields.file_id, file_path: "names.xlsx" },
+      });
+    }
+    if (method === "sendMessage") onBotMessage(fields);
+    return reply({ ok: true, result: message({ text: fields.text || "" }) });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const child = spawn(process.execPath, [path.join(__dirname, "index.js")], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      TELEGRAM_BOT_TOKEN: TOKEN,
+      ADMIN_ID: String(USER_ID),
+      TELEGRAM_API_URL: baseUrl,
+      EVIRMA_API_URL: `${baseUrl}/evirma`,
+      DATA_DIR: path.join(dir, "data"),
+      NODE_ENV: "benchmark",
+    },
+    stdio: ["ignore", "ignore", "inherit"],
+  });
+
+  pushUpdate({ message: message({ text: "Парсить Excel" }) });
+  const timeout = setTimeout(
+    () => finish(`❌ Не дождались результата за ${TIMEOUT_MIN} мин.`),
+    TIMEOUT_MIN * 60 * 1000
+  );
+
+  try {
+    const result = await finished;
+    const seconds = startedAt ? (Date.now() - startedAt) / 1000 : 0;
+    const peak = await readPeakMemory(child.pid);
+    console.log(result);
+    console.log(`Файл: ${(inputSize / 1024 / 1024).toFixed(1)} МБ`);
+    console.log(
+      `Время от загрузки файла до результата: ${seconds.toFixed(1)} с`
+    );
+    console.log(`Запросов к Evirma: ${evirmaRequests}`);
+    console.log(
+      `Пиковая память бота: ${
+        peak
+          ? `${(peak / 1024 / 1024).toFixed(0)} МБ`
+          : "нет данных (нужен Linux)"
+      }`
+    );
+    process.exitCode = result.startsWith("✅") ? 0 : 1;
+  } finally {
+    clearTimeout(timeout);
+    child.kill();
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(`Бенчмарк не удался: ${error.message}`);
+  process.exit(1);
+});
@@ -3,6 +3,7 @@ const TelegramBot = require("node-telegram-bot-api");
 const axios = require("axios");
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
 const xlsx = require("xlsx");
 const dotenv = require("dotenv");
 const { default: PQueue } = require("p-queue");
@@ -17,8 +18,17 @@ dotenv.config();
 const { TELEGRAM_BOT_TOKEN, ADMIN_ID } = process.env;
 const adminIds = ADMIN_ID.split(",").map((id) => parseInt(id.trim()));
 
+// Адреса внешних API можно подменить локальными (например, для бенчмарка)
+const TELEGRAM_API_URL =
+  process.env.TELEGRAM_API_URL || "https://api.telegram.org";
+const EVIRMA_API_URL =
+  process.env.EVIRMA_API_URL || "https://evirma.ru/api/v1/keyword/list";
+
 // Инициализация бота в режиме polling
-const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true });
+const bot = new TelegramBot(TELEGRAM_BOT_TOKEN, {
+  polling: true,
+  baseApiUrl: TELEGRAM_API_URL,
+});
 
 const queue = new PQueue({ concurrency: 2, interval: 2000 });
 
@@ -27,9 +37,270 @@ const outputDir = "/tmp/output";
 const logDir = "/tmp/logs";
 const logFilePath = path.join(logDir, "wb_parser.log");
 
+// Постоянные данные (чекпоинты задач и т.п.), которые должны пережить перезапуск
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const jobsDir = path.join(dataDir, "jobs");
+const historyDir = path.join(dataDir, "history");
+const columnMappingsPath = path.join(dataDir, "column_mappings.json");
+const outputFormatsPath = path.join(dataDir, "output_formats.json");
+// Сколько снимков частот хранить для одной категории или файла
+const HISTORY_SNAPSHOTS = parseInt(process.env.HISTORY_SNAPSHOTS || "10");
+const frequencyCachePath = path.join(dataDir, "evirma_cache.json");
+const FREQUENCY_CACHE_TTL_HOURS = parseFloat(
+  process.env.FREQUENCY_CACHE_TTL_HOURS || "24"
+);
+// Сколько слов держать в кэше частот; самые старые записи вытесняются
+const FREQUENCY_CACHE_MAX_ENTRIES = parsePositiveInt(
+  process.env.FREQUENCY_CACHE_MAX_ENTRIES,
+  300000
+);
+// Сколько пачек слов одновременно уходит в Evirma
+const EVIRMA_CONCURRENCY = parsePositiveInt(process.env.EVIRMA_CONCURRENCY, 3);
+// Ответы Evirma, которые повтор запроса не исправит
+const EVIRMA_FATAL_STATUSES = [400, 401, 403, 404];
+
+// Сортировки выдачи WB и варианты глубины парсинга, доступные при запуске
+const WB_SORT_OPTIONS = {
+  popular: "По популярности",
+  rate: "По рейтингу",
+  priceup: "По возрастанию цены",
+  pricedown: "По убыванию цены",
+  newly: "По новинкам",
+  benefit: "Сначала выгодные",
+};
+const PAGE_DEPTH_OPTIONS = [5, 10, 50, 100, 200];
+
+// Оформление листов отчета: столбцы с кодами без разделителей разрядов,
+// предельная ширина столбца и размер топов по частоте
+const PLAIN_NUMBER_COLUMNS = new Set(["Артикул"]);
+const MAX_COLUMN_WIDTH = 60;
+const TOP_SHEET_SIZE = 50;
+// Листы отчета с фиксированными именами: листы ссылок и запросов не должны
+// с ними совпадать
+const RESERVED_SHEET_NAMES = ["Сводка", "Параметры", "Регионы"];
+
+const DEFAULT_PROVIDER = "evirma";
+// Форматы загружаемых файлов: расширение -> bookType SheetJS, в котором
+// результат возвращается пользователю. .txt - по одной записи в строке
+const SUPPORTED_FILE_FORMATS = {
+  ".xlsx": "xlsx",
+  ".xls": "biff8",
+  ".ods": "ods",
+  ".csv": "csv",
+  ".txt": "txt",
+};
+const FILE_CONTENT_TYPES = {
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".xls": "application/vnd.ms-excel",
+  ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".json": "application/json",
+  ".zip": "application/zip",
+};
+
+// Форматы отчета по ссылкам; summary - короткая сводка сообщением в чат
+const OUTPUT_FORMATS = {
+  xlsx: "Excel",
+  csv: "CSV",
+  json: "JSON",
+  summary: "Сводка в чате",
+};
+const DEFAULT_OUTPUT_FORMATS = ["xlsx"];
+// Сколько пропущенных ячеек файла со ссылками показывать в сообщении
+const REJECTED_LINKS_PREVIEW = 20;
+// До скольких символов сокращать значение ячейки в этом сообщении
+const REJECTED_LINK_VALUE_LENGTH = 100;
+// Предел длины сообщения Telegram (4096) с запасом
+const MAX_MESSAGE_LENGTH = 4000;
+// Сколько товаров показывать в сводке в чате
+const SUMMARY_TOP_SIZE = 10;
+
+// Действия над файлом с названиями: кнопка -> заполняемые базовые столбцы.
+// Выбранные доп. метрики заполняются при любом действии
+const EXCEL_ACTIONS = {
+  "Добавить частоту товаров": ["Частота товара"],
+  "Обновить частоту товаров": ["Частота товара"],
+  "Добавить количество товаров": ["Количество товара"],
+  "Обновить количество товаров": ["Количество товара"],
+  "Заполнить частоту и количество": ["Частота товара", "Количество товара"],
+};
+
+// Столбцы файла с названиями, если пользователь не выбрал другие
+const DEFAULT_COLUMN_MAPPING = {
+  sheet: null, // первый лист
+  nameColumn: "Название",
+  frequencyColumn: "Частота товара",
+  quantityColumn: "Количество товара",
+};
+
+// Статусы слова в отчете: отличают настоящий ноль от отсутствия кластера
+// и от пачки, которую не удалось запросить
+const FREQUENCY_STATUSES = {
+  ok: "найдено",
+  zero: "нулевая частота",
+  no_cluster: "нет кластера",
+  failed: "ошибка запроса",
+};
+
+// Дополнительные поля кластера Evirma, которые можно вывести отдельными
+// столбцами. Основные частота и количество товара пишутся всегда
+const EVIRMA_METRICS = {
+  freq_syn_weekly: {
+    label: "Частота за неделю",
+    get: (cluster) => cluster.freq_syn?.weekly,
+  },
+  freq_syn_daily: {
+    label: "Частота за день",
+    get: (cluster) => cluster.freq_syn?.daily,
+  },
+  freq_monthly: {
+    label: "Частота без синонимов",
+    get: (cluster) => cluster.freq?.monthly,
+  },
+  freq_weekly: {
+    label: "Частота без синонимов за неделю",
+    get: (cluster) => cluster.freq?.weekly,
+  },
+  cluster_name: { label: "Кластер", get: (cluster) => cluster.name },
+  cluster_phrase: { label: "Фраза кластера", get: (cluster) => cluster.phrase },
+};
+
+// Регионы доставки WB (параметр dest). Список можно переопределить
+// переменной окружения WB_DESTINATIONS вида "Москва:-1257786,Казань:-2133462"
+const WB_DESTINATIONS = process.env.WB_DESTINATIONS
+  ? Object.fromEntries(
+      process.env.WB_DESTINATIONS.split(",")
+        .map((entry) => entry.split(":").map((part) => (part || "").trim()))
+        .filter(([name, dest]) => name && dest)
+    )
+  : {
+      Москва: "-1257786",
+      "Санкт-Петербург": "-1198055",
+      Новосибирск: "-364763",
+      Краснодар: "12358062",
+      Хабаровск: "-1221148",
+    };
+if (!Object.keys(WB_DESTINATIONS).length) {
+  throw new Error(
+    'WB_DESTINATIONS не содержит ни одного региона вида "Москва:-1257786"'
+  );
+}
+// Москва, если она есть в списке, иначе первый настроенный регион
+const DEFAULT_REGION = WB_DESTINATIONS["Москва"]
+  ? "Москва"
+  : Object.keys(WB_DESTINATIONS)[0];
+
+// Поддерживаемые ссылки: каталог, поиск и карточка товара (/catalog/...),
+// бренд (/brands/...) и продавец (/seller/...)
+function isWbUrl(url) {
+  return [
+    "https://www.wildberries.ru/catalog/",
+    "https://www.wildberries.ru/brands/",
+    "https://www.wildberries.ru/seller/",
+  ].some((prefix) => url.startsWith(prefix));
+}
+
+// Целое положительное число из переменной окружения, иначе значение по умолчанию
+function parsePositiveInt(value, fallback) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+// Разбор похожего на ссылку значения из файла: приводит ссылку WB к виду
+// https://www.wildberries.ru/... или объясняет, почему она не подходит
+function parseWbLink(text) {
+  const match = text
+    .trim()
+    .replace(/[.,;)]+$/, "")
+    .match(/^(?:https?:\/\/)?(?:www\.)?wildberries\.ru(\/\S*)?$/i);
+  if (!match) {
+    return { reason: "не ссылка Wildberries" };
+  }
+  const url = `https://www.wildberries.ru${match[1] || "/"}`;
+  if (!isWbUrl(url)) {
+    return {
+      reason: "раздел не поддерживается (нужен каталог, бренд или продавец)",
+    };
+  }
+  return { url };
+}
+
+// Переключатель источника частот: можно выбрать один или два источника для
+// сравнения, первый выбранный считается основным
+function toggleProviderSelection(selected, providerName) {
+  if (selected.includes(providerName)) {
+    return selected.length > 1
+      ? selected.filter((name) => name !== providerName)
+      : selected;
+  }
+  return [selected[0], providerName].filter(Boolean).slice(-2);
+}
+
+// Метрики выбираются переключателями в порядке каталога источников
+function toggleMetricSelection(selected, metricKey) {
+  return selected.includes(metricKey)
+    ? selected.filter((key) => key !== metricKey)
+    : [...selected, metricKey];
+}
+
+// Кнопки выбора доп. метрик по две в ряд; prefix - действие в callback_data
+function getMetricKeyboardRows(metricOptions, selected, prefix) {
+  const buttons = Object.entries(metricOptions).map(([key, label]) => ({
+    text: selected.includes(key) ? `✅ ${label}` : `➕ ${label}`,
+    callback_data: `${prefix}:${key}`,
+  }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) {
+    rows.push(buttons.slice(i, i + 2));
+  }
+  return rows;
+}
+
+// Итог по столбцу статусов: "найдено: 10, нет кластера: 2"
+function formatStatusTally(rows, column = "Статус") {
+  const counts = {};
+  for (const row of rows) {
+    if (row[column]) counts[row[column]] = (counts[row[column]] || 0) + 1;
+  }
+  return Object.values(FREQUENCY_STATUSES)
+    .filter((label) => counts[label])
+    .map((label) => `${label}: ${counts[label]}`)
+    .join(", ");
+}
+
+// Короткая сводка отчета для чата: итоги и товары с наибольшей частотой
+function formatReportSummary(rows, title) {
+  // Названия товаров могут содержать символы разметки Markdown
+  const escape = (text) => String(text).replace(/[_*`\[]/g, "\\$&");
+  const totalFrequency = rows.reduce(
+    (sum, row) => sum + (Number(row["Частота товара"]) || 0),
+    0
+  );
+  const top = [...rows]
+    .sort((a, b) => (b["Частота товара"] || 0) - (a["Частота товара"] || 0))
+    .slice(0, SUMMARY_TOP_SIZE)
+    .map(
+      (row, i) =>
+        `${i + 1}. ${escape(row["Название"])} - ${
+          row["Частота товара"] || 0
+        } (товаров: ${row["Количество товара"] || 0})`
+    );
+
+  return `📊 *Сводка:* ${escape(title)}\nТоваров: ${
+    rows.length
+  }\nСуммарная частота: ${totalFrequency}\n\n*Топ-${
+    top.length
+  } по частоте:*\n${top.join("\n")}`;
+}
+
+function formatCacheStats({ hits, misses }) {
+  return `💾 Кэш частот: из кэша ${hits}, запрошено в Evirma ${misses}`;
+}
+
 // Создаем временные директории при необходимости
 async function ensureDirsExist() {
-  for (const dir of [outputDir, logDir]) {
+  for (const dir of [outputDir, logDir, jobsDir, historyDir]) {
     try {
       await fs.mkdir(dir, { recursive: true });
     } catch (error) {
@@ -142,11 +413,436 @@ class LogService {
   }
 }
 
+// Строки и ячейки в XML листа .xlsx
+const XLSX_ROW_RE = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+const XLSX_CELL_RE = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+// Сколько переписанных строк листа собирать в один кусок результата
+const XLSX_CHUNK_ROWS = 10000;
+
+// Лист .xlsx как XML: строки читаются и переписываются по одной, без
+// объектной модели SheetJS. Все, что не трогаем (стили, закрепленные
+// области, условное форматирование, другие листы), остается в файле как было
+class XlsxSheetFile {
+  constructor(zip) {
+    this.zip = zip;
+    this.entries = new Map(
+      zip.FullPaths.map((entryPath, i) => [
+        entryPath.replace(/^Root Entry\//, ""),
+        i,
+      ])
+    );
+    this.sheets = new Map();
+    this.sharedStringsPath = null;
+    this.sharedStrings = null;
+  }
+
+  // null - файл не удалось разобрать как книгу xlsx
+  static async open(filePath) {
+    let zip;
+    try {
+      zip = xlsx.CFB.read(await fs.readFile(filePath), { type: "buffer" });
+    } catch (error) {
+      return null;
+    }
+    const file = new XlsxSheetFile(zip);
+    const workbook = file.readEntry("xl/workbook.xml");
+    const rels = file.readEntry("xl/_rels/workbook.xml.rels");
+    if (!workbook || !rels) return null;
+
+    const targets = new Map();
+    for (const [tag] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+      const { Id, Target, Type = "" } = XlsxSheetFile.parseAttributes(tag);
+      const entryPath = Target.startsWith("/")
+        ? Target.slice(1)
+        : `xl/${Target}`;
+      targets.set(Id, entryPath);
+      if (Type.endsWith("/sharedStrings")) file.sharedStringsPath = entryPath;
+    }
+    for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+      const attributes = XlsxSheetFile.parseAttributes(tag);
+      const idKey = Object.keys(attributes).find((key) => /:id$/.test(key));
+      const entryPath = targets.get(attributes[idKey]);
+      if (entryPath && file.entries.has(entryPath)) {
+        file.sheets.set(XlsxSheetFile.decode(attributes.name), entryPath);
+      }
+    }
+    return file.sheets.size ? file : null;
+  }
+
+  static parseAttributes(tag) {
+    const attributes = {};
+    for (const [, key, value] of tag.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+      attributes[key] = value;
+    }
+    return attributes;
+  }
+
+  static decode(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+      if (e[0] === "#") {
+        return String.fromCodePoint(
+          e[1].toLowerCase() === "x"
+            ? parseInt(e.slice(2), 16)
+            : parseInt(e.slice(1))
+        );
+      }
+      return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[e];
+    });
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, "");
+  }
+
+  // Текст строки с форматированием: все <t>, кроме фонетических подсказок
+  static richText(xml) {
+    let text = "";
+    const plain = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+    for (const [, value] of plain.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)) {
+      text += value;
+    }
+    return XlsxSheetFile.decode(text);
+  }
+
+  get sheetNames() {
+    return [...this.sheets.keys()];
+  }
+
+  readEntry(entryPath) {
+    const index = this.entries.get(entryPath);
+    if (index === undefined) return null;
+    return Buffer.from(this.zip.FileIndex[index].content).toString("utf-8");
+  }
+
+  writeEntry(entryPath, content) {
+    this.zip.FileIndex[this.entries.get(entryPath)].content = content;
+  }
+
+  removeEntry(entryPath) {
+    const index = this.entries.get(entryPath);
+    if (index === undefined) return;
+    this.zip.FileIndex.splice(index, 1);
+    this.zip.FullPaths.splice(index, 1);
+    this.entries = new Map(
+      this.zip.FullPaths.map((name, i) => [
+        name.replace(/^Root Entry\//, ""),
+        i,
+      ])
+    );
+  }
+
+  // XML листа; null - лист в разметке, которую мы не разбираем (например,
+  // с префиксами пространств имен), тогда файл правится через SheetJS
+  readSheet(sheetName) {
+    const xml = this.readEntry(this.sheets.get(sheetName));
+    return xml && xml.includes("<sheetData") ? xml : null;
+  }
+
+  loadSharedStrings() {
+    if (this.sharedStrings) return;
+    const xml = this.sharedStringsPath
+      ? this.readEntry(this.sharedStringsPath)
+      : null;
+    this.sharedStrings = [];
+    for (const [, inner = ""] of (xml || "").matchAll(
+      /<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g
+    )) {
+      this.sharedStrings.push(XlsxSheetFile.richText(inner));
+    }
+  }
+
+  // Ячейки строки: номер столбца, атрибуты и исходный XML. Ячейки без
+  // адреса идут подряд за предыдущей
+  parseCells(rowXml = "") {
+    const cells = [];
+    let c = -1;
+    for (const match of rowXml.matchAll(XLSX_CELL_RE)) {
+      const attributes = XlsxSheetFile.parseAttributes(match[1]);
+      c = attributes.r ? xlsx.utils.decode_cell(attributes.r).c : c + 1;
+      cells.push({ c, attributes, inner: match[2] || "", xml: match[0] });
+    }
+    return cells;
+  }
+
+  cellValue({ attributes, inner }) {
+    const type = attributes.t || "n";
+    if (type === "inlineStr") {
+      const text = inner.match(/<is>([\s\S]*?)<\/is>/);
+      return text ? XlsxSheetFile.richText(text[1]) : undefined;
+    }
+    const value = inner.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+    if (!value) return undefined;
+    if (type === "s") {
+      this.loadSharedStrings();
+      return this.sharedStrings[Number(value[1])];
+    }
+    if (type === "n") return Number(value[1]);
+    if (type === "b") return value[1] === "1";
+    return XlsxSheetFile.decode(value[1]);
+  }
+
+  // Обходит строки листа; callback(rowNumber, cells, match) может вернуть
+  // false, чтобы остановить обход. rowNumber считается с 1, как в Excel
+  forEachRow(xml, callback) {
+    const re = new RegExp(XLSX_ROW_RE);
+    re.lastIndex = xml.indexOf("<sheetData");
+    let rowNumber = 0;
+    let match;
+    while ((match = re.exec(xml))) {
+      const { r } = XlsxSheetFile.parseAttributes(match[1]);
+      rowNumber = r ? Number(r) : rowNumber + 1;
+      if (callback(rowNumber, this.parseCells(match[2]), match) === false) {
+        return;
+      }
+    }
+  }
+
+  // Заголовки первой непустой строки: заголовок -> { c, cell }
+  readHeader(sheetName) {
+    const xml = this.readSheet(sheetName);
+    if (!xml) return null;
+    return this.findHeader(xml).columns;
+  }
+
+  findHeader(xml) {
+    const columns = new Map();
+    let row = null;
+    this.forEachRow(xml, (rowNumber, cells) => {
+      for (const cell of cells) {
+        const value = this.cellValue(cell);
+        if (value !== undefined && value !== "") {
+          columns.set(String(value).trim(), { c: cell.c, cell });
+        }
+      }
+      if (!columns.size) return true;
+      row = rowNumber;
+      return false;
+    });
+    return { columns, row };
+  }
+
+  // Непустые значения столбцов с заданными заголовками (без заголовка);
+  // null - лист не разобран
+  readColumns(sheetName, titles) {
+    const xml = this.readSheet(sheetName);
+    if (!xml) return null;
+    const { columns, row: headerRow } = this.findHeader(xml);
+    const values = new Map(titles.map((title) => [title, []]));
+    const wanted = new Map();
+    for (const title of titles) {
+      if (columns.has(title)) wanted.set(columns.get(title).c, title);
+    }
+    if (!wanted.size) return values;
+
+    this.forEachRow(xml, (rowNumber, cells) => {
+      if (rowNumber <= headerRow) return;
+      for (const cell of cells) {
+        const title = wanted.get(cell.c);
+        if (title === undefined) continue;
+        const value = this.cellValue(cell);
+        if (value !== undefined && value !== "") {
+          values.get(title).push(String(value));
+        }
+      }
+    });
+    return values;
+  }
+
+  // Новая ячейка на месте старой: стиль старой сохраняется, формула и
+  // значение заменяются. value === null очищает ячейку
+  buildCell(address, value, old) {
+    const style = old?.attributes.s ? ` s="${old.attributes.s}"` : "";
+    if (value === null) return `<c r="${address}"${style}/>`;
+    if (typeof value === "number") {
+      return `<c r="${address}"${style}><v>${value}</v></c>`;
+    }
+    return `<c r="${address}"${style} t="inlineStr"><is><t xml:space="preserve">${XlsxSheetFile.escape(
+      value
+    )}</t></is></c>`;
+  }
+
+  // Переписывает лист по строкам. Ключ строки - значение столбца keyTitle;
+  // getValues(key) возвращает значения для столбцов titles (undefined -
+  // ячейку не трогать, null - очистить) или null, если строку не менять.
+  // Недостающие столбцы добавляются справа. Результат собирается кусками
+  // по XLSX_CHUNK_ROWS строк
+  updateRows(sheetName, keyTitle, titles, getValues) {
+    const entryPath = this.sheets.get(sheetName);
+    const xml = this.readSheet(sheetName);
+    if (!xml) return false;
+    const { columns, row: headerRow } = this.findHeader(xml);
+    const key = columns.get(keyTitle);
+    if (!key) throw new Error(`Не найден столбец «${keyTitle}»`);
+
+    const dimension = xml.match(/<dimension\b[^>]*ref="([^"]*)"/);
+    let lastColumn = Math.max(
+      ...[...columns.values()].map(({ c }) => c),
+      dimension ? xlsx.utils.decode_range(dimension[1]).e.c : 0
+    );
+    const added = [];
+    const targets = titles.map((title) => {
+      if (columns.has(title)) return columns.get(title).c;
+      added.push({ title, c: ++lastColumn });
+      return lastColumn;
+    });
+
+    let formulasRemoved = false;
+    const rewriteRow = (rowNumber, cells, attributes) => {
+      let values = null;
+      if (rowNumber === headerRow) {
+        values = titles.map((title) =>
+          added.some((column) => column.title === title) ? title : undefined
+        );
+      } else if (rowNumber > headerRow) {
+        const keyCell = cells.find(({ c }) => c === key.c);
+        const keyValue = keyCell ? this.cellValue(keyCell) : undefined;
+        if (keyValue !== undefined && keyValue !== "") {
+          values = getValues(String(keyValue));
+        }
+      }
+      if (!values) return null;
+
+      const byColumn = new Map(cells.map((cell) => [cell.c, cell]));
+      let changed = false;
+      targets.forEach((c, i) => {
+        if (values[i] === undefined) return;
+        const old = byColumn.get(c);
+        if (old?.inner.includes("<f")) formulasRemoved = true;
+        const address = xlsx.utils.encode_cell({ r: rowNumber - 1, c });
+        // Заголовок нового столбца оформляем как заголовок столбца названий
+        const styleFrom = rowNumber === headerRow ? key.cell : old;
+        byColumn.set(c, {
+          c,
+          xml: this.buildCell(address, values[i], styleFrom),
+        });
+        changed = true;
+      });
+      if (!changed) return null;
+
+      // Адрес нужен каждой ячейке: после вставки позиции сдвигаются
+      const cellsXml = [...byColumn.values()]
+        .sort((a, b) => a.c - b.c)
+        .map((cell) =>
+          cell.attributes && !cell.attributes.r
+            ? cell.xml.replace(
+                /^<c\b/,
+                `<c r="${xlsx.utils.encode_cell({ r: rowNumber - 1, c: cell.c })}"`
+              )
+            : cell.xml
+        )
+        .join("");
+      // spans - подсказка о ширине строки, после добавления столбцов она
+      // неверна; Excel пересчитает ее сам
+      const rowAttributes = attributes.replace(/\sspans="[^"]*"/, "");
+      return `<row${rowAttributes}>${cellsXml}</row>`;
+    };
+
+    const dataStart = xml.indexOf("<sheetData");
+    const chunks = [];
+    let pending = [];
+    let last = dataStart;
+    this.forEachRow(xml, (rowNumber, cells, match) => {
+      const rewritten = rewriteRow(rowNumber, cells, match[1]);
+      if (rewritten === null) return;
+      pending.push(xml.slice(last, match.index), rewritten);
+      last = match.index + match[0].length;
+      if (pending.length >= XLSX_CHUNK_ROWS * 2) {
+        chunks.push(Buffer.from(pending.join(""), "utf-8"));
+        pending = [];
+      }
+    });
+    pending.push(xml.slice(last));
+    chunks.push(Buffer.from(pending.join(""), "utf-8"));
+
+    let head = xml.slice(0, dataStart);
+    if (added.length) {
+      if (dimension) {
+        const range = xlsx.utils.decode_range(dimension[1]);
+        range.e.c = lastColumn;
+        head = head.replace(
+          dimension[0],
+          dimension[0].replace(dimension[1], xlsx.utils.encode_range(range))
+        );
+      }
+      // Ширина новых столбцов, если на них не распространяется <col>
+      const ranges = [...head.matchAll(/<col\b[^>]*>/g)].map(([tag]) =>
+        XlsxSheetFile.parseAttributes(tag)
+      );
+      const cols = added
+        .filter(
+          ({ c }) =>
+            !ranges.some(({ min, max }) => min - 1 <= c && c <= max - 1)
+        )
+        .map(
+          ({ title, c }) =>
+            `<col min="${c + 1}" max="${c + 1}" width="${Math.max(
+              title.length + 2,
+              15
+            )}" customWidth="1"/>`
+        )
+        .join("");
+      if (cols && head.includes("</cols>")) {
+        head = head.replace("</cols>", `${cols}</cols>`);
+      } else if (cols) {
+        head += `<cols>${cols}</cols>`;
+      }
+    }
+    chunks.unshift(Buffer.from(head, "utf-8"));
+    this.writeEntry(entryPath, Buffer.concat(chunks));
+
+    // Цепочка вычислений ссылается на ячейки с формулами; без замененных
+    // формул она неверна, и Excel пересоберет ее сам
+    if (formulasRemoved) this.removeCalcChain();
+    return true;
+  }
+
+  removeCalcChain() {
+    if (!this.entries.has("xl/calcChain.xml")) return;
+    this.removeEntry("xl/calcChain.xml");
+    const types = this.readEntry("[Content_Types].xml");
+    if (types) {
+      this.writeEntry(
+        "[Content_Types].xml",
+        Buffer.from(
+          types.replace(/<Override\b[^>]*calcChain\.xml"[^>]*\/>/g, ""),
+          "utf-8"
+        )
+      );
+    }
+    const rels = this.readEntry("xl/_rels/workbook.xml.rels");
+    this.writeEntry(
+      "xl/_rels/workbook.xml.rels",
+      Buffer.from(
+        rels.replace(/<Relationship\b[^>]*calcChain\.xml"[^>]*\/>/g, ""),
+        "utf-8"
+      )
+    );
+  }
+
+  async save(filePath) {
+    await fs.writeFile(
+      filePath,
+      xlsx.CFB.write(this.zip, {
+        fileType: "zip",
+        type: "buffer",
+        compression: true,
+      })
+    );
+  }
+}
+
 class FileService {
   constructor(bot, logService) {
     this.bot = bot;
     this.logService = logService;
     this.DELETE_FILE_TIMEOUT = 15000; // 15 seconds
+    // Лимит Telegram 50MB, берем с запасом на служебные данные запроса
+    this.MAX_DOCUMENT_SIZE = 45 * 1024 * 1024;
   }
 
   normalizeProductName(name) {
@@ -162,16 +858,195 @@ class FileService {
     return normalized;
   }
 
-  async readExcelFile(filePath, userId) {
+  // Книга из файла любого формата из SUPPORTED_FILE_FORMATS. format
+  // описывает, как записать результат обратно в тот же формат
+  async readWorkbook(filePath, options = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+    const buffer = await fs.readFile(filePath);
+
+    if (extension === ".txt") {
+      const lines = this.decodeText(buffer)
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+      // Строка заголовка нужна, чтобы первая запись не считалась заголовком
+      const workbook = xlsx.utils.book_new();
+      xlsx.utils.book_append_sheet(
+        workbook,
+        xlsx.utils.aoa_to_sheet([
+          [DEFAULT_COLUMN_MAPPING.nameColumn],
+          ...lines.map((line) => [line]),
+        ]),
+        "data"
+      );
+      return { workbook, format: { extension, bookType: "txt" } };
+    }
+
+    if (extension === ".csv") {
+      const text = this.decodeText(buffer);
+      const delimiter = this.detectDelimiter(text);
+      if (!delimiter) {
+        // Один столбец: запятые внутри значений не разделители. Русский
+        // Excel сохраняет такие файлы без кавычек, а пишет через ";"
+        const lines = text
+          .split(/\r?\n/)
+          .filter(Boolean)
+          .map((line) =>
+            /^".*"$/.test(line) ? line.slice(1, -1).replace(/""/g, '"') : line
+          );
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(
+          workbook,
+          xlsx.utils.aoa_to_sheet(lines.map((line) => [line])),
+          "Sheet1"
+        );
+        return {
+          workbook,
+          format: { extension, bookType: "csv", delimiter: ";" },
+        };
+      }
+      // Строка sep= подсказывает SheetJS разделитель; raw оставляет значения
+      // строками, чтобы "0012" или "1-2" не превратились в число и дату
+      const workbook = xlsx.read(`sep=${delimiter}\n${text}`, {
+        ...options,
+        type: "string",
+        raw: true,
+      });
+      return { workbook, format: { extension, bookType: "csv", delimiter } };
+    }
+
+    return {
+      workbook: xlsx.read(buffer, options),
+      format: {
+        extension,
+        bookType: SUPPORTED_FILE_FORMATS[extension] || "xlsx",
+      },
+    };
+  }
+
+  // UTF-8 (с BOM или без), иначе Windows-1251 - так сохраняют CSV старый
+  // Excel и 1С
+  decodeText(buffer) {
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch (error) {
+      return new TextDecoder("windows-1251").decode(buffer);
+    }
+  }
+
+  // Разделитель из строки заголовка, который встречается одинаковое число
+  // раз в первых строках. null - в заголовке разделителей нет, столбец один
+  detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(Boolean).slice(0, 20);
+    let best = { delimiter: null, score: 0 };
+    for (const delimiter of [";", ",", "\t", "|"]) {
+      const counts = lines.map((line) => line.split(delimiter).length - 1);
+      if (!counts[0]) continue;
+      const consistent = counts.filter((count) => count === counts[0]).length;
+      const score = consistent * 1000 + counts[0];
+      if (score > best.score) best = { delimiter, score };
+    }
+    return best.delimiter;
+  }
+
+  async writeWorkbook(filePath, workbook, format, sheetName) {
+    if (format.bookType === "csv" || format.bookType === "txt") {
+      // В CSV и TXT попадает только обработанный лист; BOM нужен Excel,
+      // чтобы он открыл UTF-8 без кракозябр
+      const text = xlsx.utils.sheet_to_csv(workbook.Sheets[sheetName], {
+        FS: format.bookType === "csv" ? format.delimiter : "\t",
+      });
+      await fs.writeFile(filePath, `\uFEFF${text}`, "utf-8");
+      return;
+    }
+    await fs.writeFile(
+      filePath,
+      xlsx.write(workbook, {
+        type: "buffer",
+        bookType: format.bookType,
+        compression: true,
+      })
+    );
+  }
+
+  // Листы книги и заголовки их столбцов - для выбора столбцов кнопками
+  async inspectWorkbook(filePath, userId) {
     // Уведомляем о начале обработки
     await this.bot.sendMessage(userId, `👁 Смотрю файл...`, {
       reply_markup: { remove_keyboard: true },
     });
     try {
-      const fileBuffer = await fs.readFile(filePath);
-      const workbook = xlsx.read(fileBuffer);
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      return xlsx.utils.sheet_to_json(worksheet);
+      if (path.extname(filePath).toLowerCase() === ".xlsx") {
+        const file = await XlsxSheetFile.open(filePath);
+        const sheets = (file?.sheetNames || []).map((name) => ({
+          name,
+          headers: file.readHeader(name),
+        }));
+        if (sheets.length && sheets.every(({ headers }) => headers)) {
+          return sheets.map(({ name, headers }) => ({
+            name,
+            headers: [...headers.keys()],
+          }));
+        }
+      }
+
+      const { workbook } = await this.readWorkbook(filePath, { sheetRows: 1 });
+      return workbook.SheetNames.map((name) => {
+        const worksheet = workbook.Sheets[name];
+        const range = xlsx.utils.decode_range(worksheet["!ref"] || "A1");
+        return {
+          name,
+          headers: [...this.getHeaderColumns(worksheet, range).keys()],
+        };
+      });
+    } catch (error) {
+      await this.logService.log(
+        `Error reading Excel file: ${error.message}`,
+        "error"
+      );
+      throw error;
+    }
+  }
+
+  // mapping - { sheet, nameColumn, frequencyColumn, quantityColumn },
+  // см. DEFAULT_COLUMN_MAPPING
+  async readExcelFile(filePath, mapping = DEFAULT_COLUMN_MAPPING) {
+    try {
+      // .xlsx читаем по строкам прямо из XML листа
+      if (path.extname(filePath).toLowerCase() === ".xlsx") {
+        const file = await XlsxSheetFile.open(filePath);
+        const values = file?.readColumns(mapping.sheet || file.sheetNames[0], [
+          mapping.nameColumn,
+          mapping.frequencyColumn,
+          mapping.quantityColumn,
+        ]);
+        if (values) {
+          return {
+            names: values.get(mapping.nameColumn),
+            hasFrequency: values.get(mapping.frequencyColumn).length > 0,
+            hasQuantity: values.get(mapping.quantityColumn).length > 0,
+          };
+        }
+      }
+
+      const { workbook } = await this.readWorkbook(filePath);
+      const worksheet =
+        workbook.Sheets[mapping.sheet || workbook.SheetNames[0]];
+      const range = xlsx.utils.decode_range(worksheet["!ref"] || "A1");
+      const columns = this.getHeaderColumns(worksheet, range);
+      const hasValues = (title) =>
+        columns.has(title) &&
+        this.readColumn(worksheet, range, columns.get(title)).length > 0;
+
+      // Читаем только нужные ячейки, не превращая весь лист в объекты:
+      // на файлах в сотни тысяч строк это основная экономия памяти
+      return {
+        names: columns.has(mapping.nameColumn)
+          ? this.readColumn(worksheet, range, columns.get(mapping.nameColumn))
+          : [],
+        hasFrequency: hasValues(mapping.frequencyColumn),
+        hasQuantity: hasValues(mapping.quantityColumn),
+      };
     } catch (error) {
       await this.logService.log(
         `Error reading Excel file: ${error.message}`,
@@ -181,39 +1056,87 @@ class FileService {
     }
   }
 
+  // Заголовок столбца -> номер столбца по первой строке листа
+  getHeaderColumns(worksheet, range) {
+    const columns = new Map();
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = worksheet[xlsx.utils.encode_cell({ r: range.s.r, c })];
+      if (cell?.v !== undefined) columns.set(String(cell.v).trim(), c);
+    }
+    return columns;
+  }
+
+  // Непустые значения столбца без строки заголовка
+  readColumn(worksheet, range, column) {
+    const values = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const cell = worksheet[xlsx.utils.encode_cell({ r, c: column })];
+      if (cell?.v !== undefined && cell.v !== "") values.push(String(cell.v));
+    }
+    return values;
+  }
+
+  // Ссылки WB со всех листов и из любых столбцов, в том числе гиперссылки
+  // с текстом. rejected - ячейки, похожие на ссылку, которые не подошли;
+  // повторы подходящих ссылок только считаются в duplicates
   async readLinksFromExcel(filePath, userId) {
     // Уведомляем о начале обработки
     await this.bot.sendMessage(userId, `👁 Читаю ссылки из файла...`, {
       reply_markup: { remove_keyboard: true },
     });
     try {
-      const fileBuffer = await fs.readFile(filePath);
-      const workbook = xlsx.read(fileBuffer);
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      const data = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
-
-      // Извлекаем ссылки из первого столбца (колонка A)
-      const links = [];
-      for (let i = 1; i < data.length; i++) {
-        // Пропускаем заголовок
-        const cellValue = data[i][0];
-        if (
-          cellValue &&
-          typeof cellValue === "string" &&
-          cellValue.startsWith("https://www.wildberries.ru/catalog/")
-        ) {
-          links.push(cellValue.trim());
+      const { workbook } = await this.readWorkbook(filePath);
+      // Ссылка -> ячейка, где она встретилась впервые
+      const links = new Map();
+      const rejected = [];
+      let duplicates = 0;
+
+      for (const sheetName of workbook.SheetNames) {
+        const worksheet = workbook.Sheets[sheetName];
+        if (!worksheet["!ref"]) continue;
+        const range = xlsx.utils.decode_range(worksheet["!ref"]);
+
+        for (let r = range.s.r; r <= range.e.r; r++) {
+          for (let c = range.s.c; c <= range.e.c; c++) {
+            const address = xlsx.utils.encode_cell({ r, c });
+            const cell = worksheet[address];
+            if (!cell) continue;
+
+            // Адрес гиперссылки и все похожие на ссылку слова текста ячейки
+            const candidates = [
+              cell.l?.Target,
+              ...String(cell.v ?? "").split(/\s+/),
+            ].filter((text) => text && /https?:\/\/|wildberries\./i.test(text));
+            const place = `${sheetName}!${address}`;
+            const cellLinks = new Set();
+
+            for (const candidate of new Set(candidates)) {
+              const { url, reason } = parseWbLink(candidate);
+              // Гиперссылка и ее текст часто ведут на одну и ту же страницу
+              if (url && cellLinks.has(url)) continue;
+              if (url) cellLinks.add(url);
+
+              if (reason) {
+                rejected.push({
+                  Ячейка: place,
+                  Значение: candidate,
+                  Причина: reason,
+                });
+              } else if (links.has(url)) {
+                duplicates++;
+              } else {
+                links.set(url, place);
+              }
+            }
+          }
         }
       }
 
-      // Удаляем дубликаты
-      const uniqueLinks = [...new Set(links)];
-
       await this.logService.log(
-        `Найдено ${links.length} ссылок, уникальных: ${uniqueLinks.length}`
+        `Найдено ${links.size} ссылок, повторов: ${duplicates}, пропущено ячеек: ${rejected.length}`
       );
 
-      return uniqueLinks;
+      return { links: [...links.keys()], rejected, duplicates };
     } catch (error) {
       await this.logService.log(
         `Error reading links from Excel file: ${error.message}`,
@@ -223,37 +1146,110 @@ class FileService {
     }
   }
 
-  async updateExcelFile(filePath, data, updateField) {
+  // rowsByName - Map нормализованное название -> строка с новыми значениями.
+  // columnNames переименовывает поля строки в заголовки файла (например,
+  // "Частота товара" -> выбранный пользователем столбец). Столбец
+  // добавляется только если его нет. Пустые значения (например, после
+  // ошибки запроса) старые ячейки не затирают, кроме полей из clearFields:
+  // их пустое значение очищает ячейку (динамика не должна остаться от
+  // прошлой загрузки).
+  // .xlsx правится прямо в XML листа, остальное в файле не меняется. Другие
+  // форматы переписываются через SheetJS: значения, форматы чисел, формулы
+  // и скрытые столбцы сохраняются, а шрифты, заливки, границы, закрепленные
+  // области и условное форматирование SheetJS CE не записывает
+  async updateExcelFile(
+    filePath,
+    rowsByName,
+    updateFields,
+    {
+      sheet = null,
+      nameColumn = "Название",
+      columnNames = {},
+      clearFields = [],
+    } = {}
+  ) {
     try {
-      const fileBuffer = await fs.readFile(filePath);
-      const workbook = xlsx.read(fileBuffer);
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-
-      // Обновляем данные
-      const jsonData = xlsx.utils.sheet_to_json(worksheet);
-      const updatedData = jsonData.map((row, index) => ({
-        ...row,
-        [updateField]: data[index]?.[updateField] || row[updateField] || "",
-      }));
+      // Значения полей для строки: undefined - ячейку не трогать,
+      // null - очистить
+      const getValues = (name) => {
+        const found = rowsByName.get(this.normalizeProductName(name));
+        if (!found) return null;
+        return updateFields.map((field) => {
+          if (found[field] !== "") return found[field];
+          return clearFields.includes(field) ? null : undefined;
+        });
+      };
 
-      // Создаем новый worksheet с обновленными данными
-      const newWorksheet = xlsx.utils.json_to_sheet(updatedData);
+      if (path.extname(filePath).toLowerCase() === ".xlsx") {
+        const file = await XlsxSheetFile.open(filePath);
+        const updated = file?.updateRows(
+          sheet || file.sheetNames[0],
+          nameColumn,
+          updateFields.map((field) => columnNames[field] || field),
+          getValues
+        );
+        if (updated) {
+          await file.save(filePath);
+          return filePath;
+        }
+      }
 
-      // Устанавливаем ширину столбцов
-      newWorksheet["!cols"] = [
-        { wch: 50 }, // Название
-        { wch: 30 }, // Частота товара
-        { wch: 30 }, // Количество товара
-      ];
+      const { workbook, format } = await this.readWorkbook(filePath, {
+        cellStyles: true,
+      });
+      const sheetName = sheet || workbook.SheetNames[0];
+      const worksheet = workbook.Sheets[sheetName];
+      const range = xlsx.utils.decode_range(worksheet["!ref"] || "A1");
+      const columns = this.getHeaderColumns(worksheet, range);
+      const nameCol = columns.get(nameColumn);
+      if (nameCol === undefined) {
+        throw new Error(`Не найден столбец «${nameColumn}»`);
+      }
 
-      // Обновляем workbook
-      workbook.Sheets[workbook.SheetNames[0]] = newWorksheet;
+      // Номер столбца для каждого поля; недостающие добавляем справа
+      const targets = updateFields.map((field) => {
+        const header = columnNames[field] || field;
+        if (!columns.has(header)) {
+          const c = ++range.e.c;
+          columns.set(header, c);
+          worksheet[xlsx.utils.encode_cell({ r: range.s.r, c })] = {
+            t: "s",
+            v: header,
+          };
+          worksheet["!cols"] = worksheet["!cols"] || [];
+          worksheet["!cols"][c] = { wch: Math.max(header.length + 2, 15) };
+        }
+        return { field, c: columns.get(header) };
+      });
 
-      // Сохраняем обновленный файл
-      await fs.writeFile(
-        filePath,
-        xlsx.write(workbook, { type: "buffer", bookType: "xlsx" })
-      );
+      for (let r = range.s.r + 1; r <= range.e.r; r++) {
+        const nameCell = worksheet[xlsx.utils.encode_cell({ r, c: nameCol })];
+        if (nameCell?.v === undefined) continue;
+        const values = getValues(String(nameCell.v));
+        if (!values) continue;
+
+        targets.forEach(({ c }, i) => {
+          const value = values[i];
+          if (value === undefined) return;
+          const address = xlsx.utils.encode_cell({ r, c });
+          // Оставляем формат числа ячейки, но сбрасываем формулу и старый текст
+          const cell = worksheet[address] || {};
+          delete cell.f;
+          delete cell.w;
+          if (value === null) {
+            cell.t = "z";
+            delete cell.v;
+          } else {
+            cell.t = typeof value === "number" ? "n" : "s";
+            cell.v = value;
+          }
+          worksheet[address] = cell;
+        });
+      }
+      worksheet["!ref"] = xlsx.utils.encode_range(range);
+
+      // Сохраняем обновленный файл в исходном формате
+      await this.writeWorkbook(filePath, workbook, format, sheetName);
       return filePath;
     } catch (error) {
       await this.logService.log(
@@ -264,22 +1260,111 @@ class FileService {
     }
   }
 
-  async saveToExcel(data, filename) {
+  // Автофильтр по заголовку, числовые форматы и ширина столбцов по
+  // содержимому
+  formatSheet(worksheet) {
+    if (!worksheet["!ref"]) return;
+    const range = xlsx.utils.decode_range(worksheet["!ref"]);
+    worksheet["!autofilter"] = { ref: worksheet["!ref"] };
+    worksheet["!cols"] = [];
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cells = [];
+      for (let r = range.s.r; r <= range.e.r; r++) {
+        const cell = worksheet[xlsx.utils.encode_cell({ r, c })];
+        if (cell) cells.push(cell);
+      }
+
+      const header = cells[0]?.v;
+      const numbers = cells.filter((cell) => cell.t === "n");
+      let format = "#,##0";
+      if (PLAIN_NUMBER_COLUMNS.has(header)) {
+        format = "0";
+      } else if (numbers.some((cell) => !Number.isInteger(cell.v))) {
+        format = "#,##0.00";
+      }
+      for (const cell of numbers) cell.z = format;
+
+      // Для чисел учитываем разделители разрядов, для текста - самую
+      // длинную строку ячейки. Максимум ищем циклом: Math.max(...cells)
+      // на сотнях тысяч строк переполняет стек
+      let width = 0;
+      for (const cell of cells) {
+        const lines =
+          cell.t === "n"
+            ? [cell.v.toLocaleString("en-US", { maximumFractionDigits: 2 })]
+            : String(cell.v ?? "").split("\n");
+        for (const line of lines) width = Math.max(width, line.length);
+      }
+      worksheet["!cols"].push({
+        wch: Math.min(Math.max(width + 2, 8), MAX_COLUMN_WIDTH),
+      });
+    }
+  }
+
+  // SheetJS CE не умеет записывать закрепленные области, поэтому
+  // закрепляем строку заголовка прямо в XML листов готовой книги
+  freezeHeaderRows(buffer) {
+    const zip = xlsx.CFB.read(buffer, { type: "buffer" });
+    zip.FullPaths.forEach((entryPath, i) => {
+      if (!/xl\/worksheets\/sheet\d+\.xml$/.test(entryPath)) return;
+      const entry = zip.FileIndex[i];
+      entry.content = Buffer.from(
+        Buffer.from(entry.content)
+          .toString("utf-8")
+          .replace(
+            '<sheetView workbookViewId="0"/>',
+            '<sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView>'
+          ),
+        "utf-8"
+      );
+    });
+    return xlsx.CFB.write(zip, {
+      fileType: "zip",
+      type: "buffer",
+      compression: true,
+    });
+  }
+
+  // Есть ли в книге закрепленный заголовок: SheetJS CE его не читает,
+  // поэтому смотрим прямо в XML листов
+  hasFrozenHeader(buffer) {
+    const zip = xlsx.CFB.read(buffer, { type: "buffer" });
+    return zip.FullPaths.some(
+      (entryPath, i) =>
+        /xl\/worksheets\/sheet\d+\.xml$/.test(entryPath) &&
+        Buffer.from(zip.FileIndex[i].content)
+          .toString("utf-8")
+          .includes('state="frozen"')
+    );
+  }
+
+  // Книга отчета: лист сводки (если есть), основной лист, дополнительные
+  // листы (топы, регионы и т.п.) и параметры запуска
+  async saveToExcel(
+    data,
+    filename,
+    { summary = null, params = null, sheets = [], sheetName = "Товары" } = {}
+  ) {
     if (!data.length) {
       await this.logService.log("No data to save to Excel", "warning");
       return null;
     }
-    const worksheet = xlsx.utils.json_to_sheet(data);
     const workbook = xlsx.utils.book_new();
+    const appendSheet = (rows, name) => {
+      const worksheet = xlsx.utils.json_to_sheet(rows);
+      this.formatSheet(worksheet);
+      xlsx.utils.book_append_sheet(workbook, worksheet, name);
+    };
 
-    // Устанавливаем ширину столбцов
-    worksheet["!cols"] = [
-      { wch: 50 }, // Название
-      { wch: 30 }, // Количество товара
-      { wch: 30 }, // Частота товара
-    ];
+    if (summary) appendSheet(summary, "Сводка");
+    appendSheet(data, sheetName);
+    for (const sheet of sheets) {
+      appendSheet(sheet.rows, sheet.name);
+    }
+    // Параметры запуска сохраняем отдельным листом
+    if (params) appendSheet(params, "Параметры");
 
-    xlsx.utils.book_append_sheet(workbook, worksheet, "data");
     const filePath = path.join(outputDir, `${filename}.xlsx`);
 
     // Ensure directory exists before writing
@@ -287,235 +1372,614 @@ class FileService {
 
     await fs.writeFile(
       filePath,
-      xlsx.write(workbook, { type: "buffer", bookType: "xlsx" })
+      this.freezeHeaderRows(
+        xlsx.write(workbook, { type: "buffer", bookType: "xlsx" })
+      )
     );
     await this.logService.log(`Saved Excel to ${filePath}`);
     return filePath;
   }
 
-  async sendExcelToUser(filePath, filename, userId) {
-    try {
-      // Проверяем доступ к файлу
-      await fs.access(filePath);
+  // Отчет в выбранных форматах. CSV содержит только основной лист, JSON -
+  // все листы и параметры запуска. Сводку в чат собирает вызывающий код
+  async saveReport(data, filename, formats, options = {}) {
+    if (!data.length) {
+      await this.logService.log("No data to save to report", "warning");
+      return null;
+    }
+    await ensureDirsExist();
+    const files = [];
 
-      const today = new Date().toLocaleDateString("ru-RU");
-      const caption = `📊 *Анализ категории Wildberries* (${today})`;
+    if (formats.includes("xlsx")) {
+      files.push(await this.saveToExcel(data, filename, options));
+    }
 
-      // Получаем размер файла
-      const stats = await fs.stat(filePath);
-      const fileSizeInBytes = stats.size;
-      const fileSizeInMegabytes = fileSizeInBytes / (1024 * 1024);
+    if (formats.includes("csv")) {
+      const filePath = path.join(outputDir, `${filename}.csv`);
+      const workbook = xlsx.utils.book_new();
+      xlsx.utils.book_append_sheet(
+        workbook,
+        xlsx.utils.json_to_sheet(data),
+        "data"
+      );
+      await this.writeWorkbook(
+        filePath,
+        workbook,
+        { bookType: "csv", delimiter: "," },
+        "data"
+      );
+      files.push(filePath);
+    }
 
-      // Проверяем размер файла (Telegram ограничение ~50MB)
-      if (fileSizeInMegabytes > 50) {
-        throw new Error("413 Request Entity Too Large");
-      }
+    if (formats.includes("json")) {
+      const {
+        summary = null,
+        params = null,
+        sheets = [],
+        sheetName = "Товары",
+      } = options;
+      const filePath = path.join(outputDir, `${filename}.json`);
+      const report = {
+        params: params
+          ? Object.fromEntries(
+              params.map((param) => [param["Параметр"], param["Значение"]])
+            )
+          : null,
+        sheets: Object.fromEntries([
+          ...(summary ? [["Сводка", summary]] : []),
+          [sheetName, data],
+          ...sheets.map((sheet) => [sheet.name, sheet.rows]),
+        ]),
+      };
+      await fs.writeFile(filePath, JSON.stringify(report, null, 2), "utf-8");
+      files.push(filePath);
+    }
 
-      await this.bot.sendDocument(userId, filePath, {
-        caption,
-        parse_mode: "Markdown",
-        contentType:
-          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      });
+    await this.logService.log(`Saved report to ${files.join(", ") || "chat"}`);
+    return files;
+  }
 
-      await this.logService.log(
-        `Excel report sent to user ${userId}: ${filePath}`
-      );
+  // Имя листа Excel: не длиннее 31 символа, без []:*?/\ и без повторов
+  toSheetName(title, usedNames) {
+    const base = (title || "Лист").replace(/[\[\]:*?/\\]/g, " ").trim() || "Лист";
+    let name = base.slice(0, 31);
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  }
 
-      // Установка таймера на удаление файла через 15 секунд
-      setTimeout(async () => {
-        try {
-          await fs.unlink(filePath);
-          await this.logService.log(`Temporary file deleted: ${filePath}`);
-        } catch (error) {
-          await this.logService.log(
-            `Error deleting temporary file ${filePath}: ${error.message}`,
-            "error"
+  // Лист только с заголовком и строками [from, to) исходного листа
+  sliceSheet(worksheet, from, to) {
+    const range = xlsx.utils.decode_range(worksheet["!ref"] || "A1");
+    const slice = {};
+    const copyRow = (r, target) => {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = worksheet[xlsx.utils.encode_cell({ r, c })];
+        if (cell) slice[xlsx.utils.encode_cell({ r: target, c })] = cell;
+      }
+    };
+    copyRow(range.s.r, range.s.r);
+    for (let r = from; r < to; r++) {
+      copyRow(r, range.s.r + 1 + r - from);
+    }
+    slice["!ref"] = xlsx.utils.encode_range({
+      s: range.s,
+      e: { r: range.s.r + to - from, c: range.e.c },
+    });
+    if (worksheet["!cols"]) slice["!cols"] = worksheet["!cols"];
+    if (worksheet["!autofilter"]) slice["!autofilter"] = { ref: slice["!ref"] };
+    return slice;
+  }
+
+  // Упаковываем текстовый файл в zip (xlsx и ods сжимаются при записи)
+  async zipFile(filePath, zipPath, entryName) {
+    const zip = xlsx.CFB.utils.cfb_new();
+    xlsx.CFB.utils.cfb_add(zip, entryName, await fs.readFile(filePath));
+    await fs.writeFile(
+      zipPath,
+      xlsx.CFB.write(zip, {
+        fileType: "zip",
+        type: "buffer",
+        compression: true,
+      })
+    );
+    await fs.unlink(filePath);
+  }
+
+  // Делим слишком большой отчет на сжатые нумерованные части: строки самого
+  // большого листа распределяются по частям, остальные листы попадают в первую
+  async splitLargeFile(filePath, filename) {
+    const ext = path.extname(filePath);
+    // Не табличный файл (JSON) делить по строкам нельзя - только сжимаем
+    if (!SUPPORTED_FILE_FORMATS[ext.toLowerCase()]) {
+      const zipPath = `${filePath}.zip`;
+      await this.zipFile(filePath, zipPath, path.basename(filePath));
+      if ((await fs.stat(zipPath)).size > this.MAX_DOCUMENT_SIZE) {
+        throw new Error("Отчет больше лимита Telegram даже в zip-архиве");
+      }
+      return [zipPath];
+    }
+
+    const { workbook, format } = await this.readWorkbook(filePath, {
+      cellStyles: true,
+      cellNF: true,
+    });
+    const rowsIn = (name) =>
+      xlsx.utils.decode_range(workbook.Sheets[name]["!ref"] || "A1").e.r;
+    const mainName = workbook.SheetNames.reduce((largest, name) =>
+      rowsIn(name) > rowsIn(largest) ? name : largest
+    );
+    const mainSheet = workbook.Sheets[mainName];
+    const range = xlsx.utils.decode_range(mainSheet["!ref"] || "A1");
+    const rowCount = range.e.r - range.s.r;
+    const archived = format.bookType === "csv" || format.bookType === "txt";
+    // Части отчета оформляем как сам отчет: ширина столбцов по содержимому
+    // части и закрепленный заголовок
+    const frozen =
+      format.bookType === "xlsx" &&
+      this.hasFrozenHeader(await fs.readFile(filePath));
+
+    let count = 1;
+    while (true) {
+      const chunk = Math.ceil(rowCount / count);
+      const parts = [];
+      for (let i = 0; i < count; i++) {
+        const from = range.s.r + 1 + i * chunk;
+        const part = xlsx.utils.book_new();
+        for (const name of workbook.SheetNames) {
+          if (name === mainName) {
+            const slice = this.sliceSheet(
+              mainSheet,
+              from,
+              Math.min(from + chunk, range.e.r + 1)
+            );
+            if (frozen) this.formatSheet(slice);
+            xlsx.utils.book_append_sheet(part, slice, name);
+          } else if (i === 0) {
+            xlsx.utils.book_append_sheet(part, workbook.Sheets[name], name);
+          }
+        }
+
+        const baseName =
+          count === 1 ? filename : `${filename}_part${i + 1}of${count}`;
+        const partPath = path.join(path.dirname(filePath), baseName + ext);
+        if (frozen) {
+          await fs.writeFile(
+            partPath,
+            this.freezeHeaderRows(
+              xlsx.write(part, { type: "buffer", bookType: "xlsx" })
+            )
           );
+        } else {
+          await this.writeWorkbook(partPath, part, format, mainName);
         }
-      }, this.DELETE_FILE_TIMEOUT);
-    } catch (error) {
-      if (error.message.includes("413 Request Entity Too Large")) {
-        // Создаем папку output если ее нет
-        const outputDir = path.join(process.cwd(), "output");
-        try {
-          await fs.mkdir(outputDir, { recursive: true });
+        if (archived) {
+          const zipPath = `${partPath}.zip`;
+          await this.zipFile(partPath, zipPath, baseName + ext);
+          parts.push(zipPath);
+        } else {
+          parts.push(partPath);
+        }
+      }
 
-          // Генерируем имя файла с timestamp
-          const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-          const newFilename = `${filename}_${timestamp}.xlsx`;
-          const newFilePath = path.join(outputDir, newFilename);
+      const sizes = await Promise.all(
+        parts.map(async (part) => (await fs.stat(part)).size)
+      );
+      const largest = Math.max(...sizes);
+      if (largest <= this.MAX_DOCUMENT_SIZE) return parts;
 
-          // Копируем файл в папку output
-          await fs.copyFile(filePath, newFilePath);
+      await Promise.all(parts.map((part) => fs.unlink(part)));
+      if (count >= rowCount) {
+        throw new Error("Одна строка отчета больше лимита Telegram");
+      }
+      // Прикидываем нужное число частей по самой большой из текущих
+      count = Math.min(
+        rowCount,
+        Math.max(
+          count + 1,
+          Math.ceil((count * largest * 1.1) / this.MAX_DOCUMENT_SIZE)
+        )
+      );
+      await this.logService.log(
+        `Report is still too large, splitting into ${count} parts`,
+        "warning"
+      );
+    }
+  }
 
-          // Отправляем сообщение пользователю
-          const message = `📁 Файл слишком большой для отправки через Telegram (>50MB).\nОн был сохранен локально: \`${newFilePath}\``;
-          await this.bot.sendMessage(userId, message, {
-            parse_mode: "Markdown",
-          });
+  async sendExcelToUser(filePath, filename, userId, caption = null) {
+    const filesToDelete = [filePath];
+    try {
+      // Проверяем доступ к файлу
+      await fs.access(filePath);
 
-          await this.logService.log(`Large file saved locally: ${newFilePath}`);
-        } catch (saveError) {
-          await this.logService.log(
-            `Failed to save large file locally: ${saveError.message}`,
-            "error"
-          );
+      const today = new Date().toLocaleDateString("ru-RU");
+      caption = caption || `📊 *Анализ категории Wildberries* (${today})`;
+
+      // Получаем размер файла
+      const stats = await fs.stat(filePath);
+      let documents = [filePath];
+
+      // Telegram не принимает файлы больше 50MB: сжимаем и делим на части
+      if (stats.size > this.MAX_DOCUMENT_SIZE) {
+        await this.bot.sendMessage(
+          userId,
+          `📦 Отчет занимает ${(stats.size / (1024 * 1024)).toFixed(
+            1
+          )} MB - больше лимита Telegram. Сжимаю и делю на части...`
+        );
+        documents = await this.splitLargeFile(filePath, filename);
+        filesToDelete.push(...documents);
+
+        if (documents.length > 1) {
+          const list = documents
+            .map((part, i) => `${i + 1}. ${path.basename(part)}`)
+            .join("\n");
           await this.bot.sendMessage(
             userId,
-            `❌ Ошибка при сохранении файла: ${saveError.message}`,
-            { parse_mode: "Markdown" }
+            `📂 Отчет разделен на ${documents.length} частей. Строки самого большого листа идут по порядку, остальные листы - в первой части:\n${list}`
           );
         }
-      } else {
-        await this.bot.sendMessage(
-          userId,
-          `❌ Ошибка при отправке файла: ${error.message}`,
-          { parse_mode: "Markdown" }
-        );
       }
 
+      for (const [i, document] of documents.entries()) {
+        await this.bot.sendDocument(userId, document, {
+          caption:
+            documents.length > 1
+              ? `${caption} - часть ${i + 1} из ${documents.length}`
+              : caption,
+          parse_mode: "Markdown",
+          contentType:
+            FILE_CONTENT_TYPES[path.extname(document).toLowerCase()] ||
+            FILE_CONTENT_TYPES[".xlsx"],
+        });
+      }
+
+      await this.logService.log(
+        `Excel report sent to user ${userId}: ${documents.join(", ")}`
+      );
+    } catch (error) {
+      await this.bot.sendMessage(
+        userId,
+        `❌ Ошибка при отправке файла: ${error.message}`,
+        { parse_mode: "Markdown" }
+      );
+
       await this.logService.log(
         `Failed to send Excel to user ${userId}: ${error.message}`,
         "error"
       );
     }
+
+    // Установка таймера на удаление файлов через 15 секунд
+    setTimeout(async () => {
+      for (const file of new Set(filesToDelete)) {
+        try {
+          await fs.unlink(file);
+          await this.logService.log(`Temporary file deleted: ${file}`);
+        } catch (error) {
+          if (error.code === "ENOENT") continue;
+          await this.logService.log(
+            `Error deleting temporary file ${file}: ${error.message}`,
+            "error"
+          );
+        }
+      }
+    }, this.DELETE_FILE_TIMEOUT);
+  }
+}
+
+// Общий интерфейс источника статистики ключевых слов. lookup возвращает
+// записи { keyword, productCount, frequency } только для найденных слов
+class FrequencyProvider {
+  constructor(name, label, metrics = {}) {
+    this.name = name;
+    this.label = label;
+    // Дополнительные метрики { ключ: { label } }, которые источник заполняет
+    // в record.metrics
+    this.metrics = metrics;
+  }
+
+  async lookup(keywords, userId, stats) {
+    throw new Error(`Provider ${this.name} does not implement lookup`);
+  }
+}
+
+// Ограничитель частоты запросов: держит паузу между стартами запросов и
+// число одновременных запросов. Пока ответы успешные, пауза плавно
+// сокращается, после ошибки - удваивается (или берется из Retry-After)
+class AdaptiveRateLimiter {
+  constructor({
+    concurrency = 1,
+    minDelay = 200,
+    maxDelay = 120000,
+    startDelay = 1000,
+  } = {}) {
+    // Без хотя бы одного слота ни один запрос не дождался бы очереди
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.delay = startDelay;
+    this.active = 0;
+    this.waiting = [];
+    this.nextStart = 0;
+  }
+
+  async run(task) {
+    await this.acquire();
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire() {
+    while (this.active >= this.concurrency) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+    this.active++;
+
+    // Старты запросов разносим минимум на текущую паузу
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStart);
+    this.nextStart = startAt + this.delay;
+    if (startAt > now) {
+      await new Promise((resolve) => setTimeout(resolve, startAt - now));
+    }
+  }
+
+  release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  success() {
+    this.delay = Math.max(this.minDelay, Math.round(this.delay * 0.8));
+  }
+
+  // retryAfter - пауза в мс, которую попросил сервер
+  failure(retryAfter = 0) {
+    this.delay = Math.min(this.maxDelay, Math.max(this.delay * 2, retryAfter));
+    this.nextStart = Date.now() + Math.max(this.delay, retryAfter);
+  }
+
+  // Заголовок Retry-After: число секунд или HTTP-дата
+  static parseRetryAfter(value) {
+    if (!value) return 0;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+}
+
+// Файловый кэш ответов Evirma по нормализованному ключевому слову.
+// Записи старше TTL игнорируются и выбрасываются при загрузке и сохранении,
+// сверх maxEntries вытесняются самые старые
+class FrequencyCache {
+  constructor(filePath, ttlHours, maxEntries, logService) {
+    this.filePath = filePath;
+    this.TTL = ttlHours * 60 * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.logService = logService;
+    this.SAVE_DELAY = 5000; // 5 секунд
+    this.entries = null;
+    this.saveTimer = null;
+    // Сохранения идут строго по очереди
+    this.saving = Promise.resolve();
+  }
+
+  getKey(keyword) {
+    return String(keyword).trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  async load() {
+    if (this.entries) return;
+    this.entries = new Map();
+    try {
+      const raw = JSON.parse(await fs.readFile(this.filePath, "utf-8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(raw)) {
+        if (now - entry.at < this.TTL) this.entries.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        await this.logService.log(
+          `Failed to read frequency cache: ${error.message}`,
+          "error"
+        );
+      }
+    }
+  }
+
+  async get(keyword) {
+    await this.load();
+    const entry = this.entries.get(this.getKey(keyword));
+    if (!entry) return undefined;
+    if (Date.now() - entry.at >= this.TTL) {
+      this.entries.delete(this.getKey(keyword));
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  async set(keyword, data) {
+    await this.load();
+    // Удаляем перед вставкой, чтобы порядок Map совпадал с возрастом записей
+    const key = this.getKey(keyword);
+    this.entries.delete(key);
+    this.entries.set(key, { data, at: Date.now() });
+    this.scheduleSave();
+  }
+
+  // Пишем на диск не чаще раза в SAVE_DELAY, чтобы не сохранять файл после каждой пачки
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      await this.save();
+    }, this.SAVE_DELAY);
+  }
+
+  save() {
+    this.saving = this.saving.then(() => this.writeFile());
+    return this.saving;
+  }
+
+  // Файл пишется кусками во временный файл и подменяет старый через rename:
+  // без одной огромной строки в памяти и без битого файла при сбое
+  async writeFile() {
+    const CHUNK_SIZE = 1000;
+    const tempPath = `${this.filePath}.tmp`;
+    let handle = null;
+    try {
+      this.prune();
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      handle = await fs.open(tempPath, "w");
+      const entries = [...this.entries];
+      await handle.write("{");
+      for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
+        const chunk = entries
+          .slice(i, i + CHUNK_SIZE)
+          .map(
+            ([key, entry]) => `${JSON.stringify(key)}:${JSON.stringify(entry)}`
+          )
+          .join(",");
+        await handle.write(i ? `,${chunk}` : chunk);
+      }
+      await handle.write("}");
+      await handle.close();
+      handle = null;
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      await this.logService.log(
+        `Failed to write frequency cache: ${error.message}`,
+        "error"
+      );
+      if (handle) await handle.close().catch(() => {});
+    }
+  }
+
+  // Выбрасываем устаревшие записи и самые старые сверх maxEntries
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.at >= this.TTL) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  async flush() {
+    await this.load();
+    const count = this.entries.size;
+    this.entries.clear();
+    await this.save();
+    return count;
   }
 }
 
-class EvirmaClient {
-  constructor(fileService) {
+class EvirmaClient extends FrequencyProvider {
+  constructor(fileService, cache) {
+    super("evirma", "Evirma", EVIRMA_METRICS);
     this.fileService = fileService;
+    this.cache = cache;
     this.headers = {
       "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
       Accept: "application/json",
       "Content-Type": "application/json",
     };
     this.TIMEOUT = 30000; // 30 секунд
+    this.limiter = new AdaptiveRateLimiter({ concurrency: EVIRMA_CONCURRENCY });
     this.logService = logService;
   }
 
-  async processExcelData(names, fieldToUpdate, progressCallback, userId) {
-    const BATCH_SIZE = 100;
-    const results = [];
-    let processedCount = 0;
-    const MAX_RETRIES = 10;
-    const RETRY_DELAY = 30000; // 30 seconds
-
-    const normalizedNames = names.map((name) =>
-      this.fileService.normalizeProductName(name)
-    );
-
-    for (let i = 0; i < normalizedNames.length; i += BATCH_SIZE) {
-      // Add delays for large datasets
-      if (i > 0) {
-        if (i % 100000 === 0) {
-          const restMessage =
-            "⏳ Делаем перерыв на 60 секунд после 100к запросов...";
-          await this.logService.updateLogMessage(userId, restMessage);
-          await new Promise((resolve) => setTimeout(resolve, 60000)); // 1 minute delay
-        } else if (i % 20000 === 0) {
-          const restMessage =
-            "⏳ Делаем перерыв на 30 секунд после 20к запросов...";
-          await this.logService.updateLogMessage(userId, restMessage);
-          await new Promise((resolve) => setTimeout(resolve, 30000)); // 30 seconds delay
-        }
-      }
-
-      const batch = normalizedNames.slice(i, i + BATCH_SIZE);
+  async lookup(keywords, userId, stats = null) {
+    const evirmaResponse = await this.queryEvirmaApi(keywords, userId, stats);
+    return this.parseEvirmaResponse(evirmaResponse);
+  }
 
-      // Update logs based on data size
-      if (normalizedNames.length >= 2000) {
-        if (i % (BATCH_SIZE * 100) === 0) {
-          const logMessage = `🔄 Обрабатываем товары: ${i + 1}-${Math.min(
-            i + BATCH_SIZE * 100,
-            normalizedNames.length
-          )} из ${normalizedNames.length}`;
-          await this.logService.updateLogMessage(userId, logMessage);
-        } else {
-          const logMessage = `🔄 Обрабатываем товары: ${i + 1}-${Math.min(
-            i + BATCH_SIZE,
-            normalizedNames.length
-          )} из ${normalizedNames.length}`;
-          await this.logService.log(logMessage);
-        }
+  // Ответ в формате Evirma: уже известные слова берутся из кэша, остальные
+  // запрашиваются. stats (если передан) копит попадания и промахи за запуск
+  async queryEvirmaApi(keywords, userId, stats = null) {
+    const cached = {};
+    const missing = [];
+    for (const keyword of keywords) {
+      const data = await this.cache.get(keyword);
+      if (data !== undefined) {
+        cached[keyword] = data;
       } else {
-        const logMessage = `🔄 Обрабатываем товары: ${i + 1}-${Math.min(
-          i + BATCH_SIZE,
-          normalizedNames.length
-        )} из ${normalizedNames.length}`;
-        await this.logService.updateLogMessage(userId, logMessage);
+        missing.push(keyword);
       }
+    }
 
-      let attempt = 0;
-      let success = false;
-
-      while (!success && attempt < MAX_RETRIES) {
-        try {
-          const evirmaResponse = await this.queryEvirmaApi(batch, userId);
-          if (evirmaResponse) {
-            const batchResults = await this.parseEvirmaResponse(evirmaResponse);
-            results.push(...batchResults);
-            success = true;
-          }
-        } catch (error) {
-          attempt++;
-          const retryMessage = `⚠️ Ошибка (попытка ${attempt}/${MAX_RETRIES}): ${error.message}. Ожидание 30 секунд...`;
-          await this.logService.updateLogMessage(userId, retryMessage);
-
-          if (attempt < MAX_RETRIES) {
-            await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY));
-          } else {
-            const errorMessage = `❌ Не удалось обработать товары ${
-              i + 1
-            }-${Math.min(
-              i + BATCH_SIZE,
-              normalizedNames.length
-            )} после ${MAX_RETRIES} попыток`;
-            await this.logService.updateLogMessage(userId, errorMessage);
-          }
-        }
-      }
+    if (stats) {
+      stats.hits += keywords.length - missing.length;
+      stats.misses += missing.length;
+    }
+    if (!missing.length) return { data: { keywords: cached } };
 
-      processedCount += batch.length;
-      if (progressCallback) progressCallback(processedCount);
+    const response = await this.requestEvirmaApi(missing, userId);
+    const fetched = response?.data?.keywords || {};
+    for (const [keyword, keywordData] of Object.entries(fetched)) {
+      await this.cache.set(keyword, keywordData);
     }
 
-    return names.map((name) => {
-      const normalizedName = this.fileService.normalizeProductName(name);
-      const found = results.find((item) => item["Название"] === normalizedName);
-      return {
-        Название: normalizedName,
-        [fieldToUpdate]: found ? found[fieldToUpdate] : 0,
-      };
-    });
+    return {
+      ...response,
+      data: { ...response?.data, keywords: { ...cached, ...fetched } },
+    };
   }
 
-  async queryEvirmaApi(keywords, userId) {
+  // Паузы между запросами и повторами задает limiter: после каждой ошибки
+  // пауза растет экспоненциально, на 429 учитывается Retry-After
+  async requestEvirmaApi(keywords, userId) {
     const payload = { keywords, an: false };
-    const MAX_RETRIES = 3; // Максимальное количество попыток
+    const MAX_RETRIES = 8; // Максимальное количество попыток
     let attempt = 0;
 
     while (attempt < MAX_RETRIES) {
       try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
-
-        const response = await axios.post(
-          "https://evirma.ru/api/v1/keyword/list",
-          payload,
-          {
-            headers: this.headers,
-            signal: controller.signal,
-            timeout: this.TIMEOUT,
+        const response = await this.limiter.run(async () => {
+          const controller = new AbortController();
+          const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
+          try {
+            return await axios.post(EVIRMA_API_URL, payload, {
+              headers: this.headers,
+              signal: controller.signal,
+              timeout: this.TIMEOUT,
+            });
+          } finally {
+            clearTimeout(timeoutId);
           }
-        );
+        });
 
-        clearTimeout(timeoutId);
+        this.limiter.success();
         return response.data;
       } catch (error) {
+        const status = error.response?.status;
+        if (EVIRMA_FATAL_STATUSES.includes(status)) {
+          const errorMessage = `❌ Evirma отклонила запрос (${status}): ${error.message}`;
+          await this.logService.updateLogMessage(userId, errorMessage);
+          throw new Error(errorMessage);
+        }
+
         attempt++;
-        const retryMessage = `⚠️ Попытка ${attempt}/${MAX_RETRIES} для ключевых слов`;
+        this.limiter.failure(
+          AdaptiveRateLimiter.parseRetryAfter(
+            error.response?.headers?.["retry-after"]
+          )
+        );
+        const retryMessage = `⚠️ Попытка ${attempt}/${MAX_RETRIES} для ключевых слов${
+          status === 429 ? " (лимит запросов Evirma)" : ""
+        }, пауза ${Math.round(this.limiter.delay / 1000)} сек.`;
         await this.logService.updateLogMessage(userId, retryMessage);
 
         if (attempt >= MAX_RETRIES) {
@@ -535,66 +1999,442 @@ class EvirmaClient {
       evirmaData.data.keywords
     )) {
       const normalizedKeyword = this.fileService.normalizeProductName(keyword);
-      // Skip if cluster is null or counts are 0
-      if (
-        !keywordData.cluster ||
-        !keywordData.cluster.product_count ||
-        !keywordData.cluster.freq_syn?.monthly
-      ) {
+      const { cluster } = keywordData || {};
+      if (!cluster) {
+        parsedData.push({
+          keyword: normalizedKeyword,
+          productCount: 0,
+          frequency: 0,
+          status: "no_cluster",
+        });
         continue;
       }
 
+      const productCount = cluster.product_count || 0;
+      const frequency = cluster.freq_syn?.monthly || 0;
       parsedData.push({
-        Название: normalizedKeyword,
-        "Количество товара": keywordData.cluster.product_count,
-        "Частота товара": keywordData.cluster.freq_syn.monthly,
+        keyword: normalizedKeyword,
+        productCount,
+        frequency,
+        status: productCount && frequency ? "ok" : "zero",
+        metrics: Object.fromEntries(
+          Object.entries(this.metrics).map(([key, metric]) => [
+            key,
+            metric.get(cluster) ?? "",
+          ])
+        ),
       });
     }
     return parsedData;
   }
 }
 
-class ExcelParser {
-  constructor(bot, fileService, evirmaClient, logService, botHandlers = null) {
-    this.bot = bot;
+// Локальный источник частот: словарь из JSON-файла LOCAL_FREQUENCY_FILE вида
+// {"ключ": {"frequency": 100, "productCount": 5}}. Без файла (только при
+// LOCAL_FREQUENCY_STUB=1) выдает детерминированные значения по хешу слова,
+// чтобы проверять бота без Evirma
+class LocalFrequencyProvider extends FrequencyProvider {
+  constructor(filePath) {
+    super("local", "Локальный");
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  async load() {
+    if (this.entries) return;
+    if (!this.filePath) {
+      this.entries = new Map();
+      return;
+    }
+
+    // Словарь сохраняем только после удачного разбора: при ошибке следующий
+    // запрос снова попробует прочитать файл, а не вернет «нет кластера»
+    const raw = JSON.parse(await fs.readFile(this.filePath, "utf-8"));
+    const entries = new Map();
+    for (const [keyword, entry] of Object.entries(raw)) {
+      entries.set(keyword.trim().toLowerCase(), entry);
+    }
+    this.entries = entries;
+  }
+
+  async lookup(keywords) {
+    await this.load();
+    return keywords.map((keyword) => {
+      const entry = this.filePath
+        ? this.entries.get(keyword.trim().toLowerCase())
+        : this.generateEntry(keyword);
+      if (!entry) {
+        return { keyword, productCount: 0, frequency: 0, status: "no_cluster" };
+      }
+      return {
+        keyword,
+        productCount: entry.productCount || 0,
+        frequency: entry.frequency || 0,
+        status: entry.frequency && entry.productCount ? "ok" : "zero",
+      };
+    });
+  }
+
+  generateEntry(keyword) {
+    let hash = 0;
+    for (const char of keyword.toLowerCase()) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return { frequency: hash % 10000, productCount: hash % 1000 };
+  }
+}
+
+// Запрашивает частоты у выбранных источников и сводит их в строки отчета
+class FrequencyService {
+  constructor(providers, fileService, logService) {
+    this.providers = new Map(
+      providers.map((provider) => [provider.name, provider])
+    );
     this.fileService = fileService;
-    this.evirmaClient = evirmaClient;
     this.logService = logService;
-    this.userStates = {};
-    this.botHandlers = botHandlers;
   }
 
-  async handleExcelFile(userId, fileId, filePath) {
-    try {
-      // Читаем Excel файл
-      const data = await this.fileService.readExcelFile(filePath, userId);
-      const names = data
-        .map((row) => this.fileService.normalizeProductName(row["Название"]))
-        .filter((name) => name && name.trim() !== "");
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) throw new Error(`Неизвестный источник частот: ${name}`);
+    return provider;
+  }
+
+  getLabels(providerNames) {
+    return providerNames.map((name) => this.getProvider(name).label);
+  }
 
-      if (!names || names.length === 0) {
-        throw new Error("Не найдены названия товаров в колонке 'Название'");
+  // Все дополнительные метрики подключенных источников: { ключ: подпись }
+  getMetricOptions() {
+    const options = {};
+    for (const provider of this.providers.values()) {
+      for (const [key, metric] of Object.entries(provider.metrics)) {
+        options[key] = metric.label;
       }
+    }
+    return options;
+  }
 
-      // Определяем доступные поля
-      const hasFrequency = data.some(
-        (row) => row["Частота товара"] !== undefined
+  getMetricLabels(metricKeys) {
+    const options = this.getMetricOptions();
+    return metricKeys.filter((key) => options[key]).map((key) => options[key]);
+  }
+
+  // Первый источник пишет в основные столбцы, остальные - в столбцы с подписью.
+  // metrics - { ключ: столбец } для выбранных метрик, которые есть у источника
+  getColumns(providerNames, metricKeys = []) {
+    return providerNames.map((name, index) => {
+      const provider = this.getProvider(name);
+      const suffix = index === 0 ? "" : ` (${provider.label})`;
+      return {
+        provider: name,
+        "Количество товара": `Количество товара${suffix}`,
+        "Частота товара": `Частота товара${suffix}`,
+        Статус: `Статус${suffix}`,
+        metrics: Object.fromEntries(
+          metricKeys
+            .filter((key) => provider.metrics[key])
+            .map((key) => [key, `${provider.metrics[key].label}${suffix}`])
+        ),
+      };
+    });
+  }
+
+  // Строки { Название, Количество товара, Частота товара, Статус, ... } для
+  // каждого слова. Слова, которых нет в ответе источника, получают статус
+  // "нет кластера"
+  async lookupRows(names, providerNames, userId, stats = null, metricKeys = []) {
+    const columnSets = this.getColumns(providerNames, metricKeys);
+    const rows = new Map();
+    for (const name of names) {
+      const normalizedName = this.fileService.normalizeProductName(name);
+      rows.set(
+        normalizedName,
+        this.buildEmptyRow(normalizedName, columnSets, "no_cluster")
       );
-      const hasQuantity = data.some(
-        (row) => row["Количество товара"] !== undefined
+    }
+
+    for (const columns of columnSets) {
+      const provider = this.getProvider(columns.provider);
+      const records = await provider.lookup(names, userId, stats);
+      for (const record of records) {
+        const name = this.fileService.normalizeProductName(record.keyword);
+        if (!rows.has(name)) {
+          rows.set(name, this.buildEmptyRow(name, columnSets, "no_cluster"));
+        }
+        const row = rows.get(name);
+        row[columns["Количество товара"]] = record.productCount;
+        row[columns["Частота товара"]] = record.frequency;
+        row[columns["Статус"]] = FREQUENCY_STATUSES[record.status || "ok"];
+        for (const [key, column] of Object.entries(columns.metrics)) {
+          row[column] = record.metrics?.[key] ?? "";
+        }
+      }
+    }
+    return [...rows.values()];
+  }
+
+  // Итог по статусам для каждого источника, по строке на источник
+  formatTally(rows, providerNames) {
+    return this.getColumns(providerNames)
+      .map((columns, index) => {
+        const label =
+          index === 0 ? "" : ` (${this.getProvider(columns.provider).label})`;
+        return `📋 Статусы${label}: ${
+          formatStatusTally(rows, columns["Статус"]) || "нет данных"
+        }`;
+      })
+      .join("\n");
+  }
+
+  // После ошибки запроса значения неизвестны - оставляем их пустыми, а не 0
+  buildEmptyRow(name, columnSets, status) {
+    const row = { Название: name };
+    const value = status === "failed" ? "" : 0;
+    for (const columns of columnSets) {
+      row[columns["Количество товара"]] = value;
+      row[columns["Частота товара"]] = value;
+      row[columns["Статус"]] = FREQUENCY_STATUSES[status];
+      for (const column of Object.values(columns.metrics)) row[column] = "";
+    }
+    return row;
+  }
+
+  // Пачками запрашивает частоты для названий из Excel. Повторяющиеся названия
+  // запрашиваются один раз. Возвращает Map нормализованное название -> строка
+  // со столбцами всех источников из providers (см. getColumns) и выбранных
+  // метрик. Рассчитано на файлы до 500 тыс. названий
+  async processExcelData(
+    names,
+    progressCallback,
+    userId,
+    { stats = null, providers = [DEFAULT_PROVIDER], metrics = [] } = {}
+  ) {
+    const BATCH_SIZE = 100;
+    const rowsByName = new Map();
+    let processedCount = 0;
+
+    const normalizedNames = [
+      ...new Set(
+        names.map((name) => this.fileService.normalizeProductName(name))
+      ),
+    ];
+    const batchStarts = [];
+    for (let i = 0; i < normalizedNames.length; i += BATCH_SIZE) {
+      batchStarts.push(i);
+    }
+
+    // Несколько пачек идут параллельно; темп запросов и паузы после ошибок
+    // регулирует ограничитель внутри источника
+    const processBatch = async (i) => {
+      const batch = normalizedNames.slice(i, i + BATCH_SIZE);
+      const range = `${i + 1}-${Math.min(
+        i + BATCH_SIZE,
+        normalizedNames.length
+      )}`;
+
+      // Для больших файлов в чат пишем только каждую сотую пачку
+      const logMessage = `🔄 Обрабатываем товары: ${range} из ${normalizedNames.length}`;
+      if (
+        normalizedNames.length < 2000 ||
+        i % (BATCH_SIZE * 100) === 0
+      ) {
+        await this.logService.updateLogMessage(userId, logMessage);
+      } else {
+        await this.logService.log(logMessage);
+      }
+
+      try {
+        const rows = await this.lookupRows(
+          batch,
+          providers,
+          userId,
+          stats,
+          metrics
+        );
+        for (const row of rows) rowsByName.set(row["Название"], row);
+      } catch (error) {
+        const errorMessage = `❌ Не удалось обработать товары ${range}: ${error.message}`;
+        await this.logService.updateLogMessage(userId, errorMessage);
+        // Слова из неудавшейся пачки остаются в отчете с отдельным статусом
+        const columnSets = this.getColumns(providers, metrics);
+        for (const name of batch) {
+          rowsByName.set(name, this.buildEmptyRow(name, columnSets, "failed"));
+        }
+      }
+
+      processedCount += batch.length;
+      if (progressCallback) progressCallback(processedCount);
+    };
+
+    const workers = Array.from(
+      { length: Math.min(EVIRMA_CONCURRENCY, batchStarts.length) },
+      async () => {
+        while (batchStarts.length) {
+          await processBatch(batchStarts.shift());
+        }
+      }
+    );
+    await Promise.all(workers);
+
+    return rowsByName;
+  }
+
+  async flushCaches() {
+    let count = 0;
+    for (const provider of this.providers.values()) {
+      if (provider.cache) count += await provider.cache.flush();
+    }
+    return count;
+  }
+}
+
+// Семантическое ядро: разбивает названия товаров на фразы (n-граммы без
+// служебных слов и брендов), запрашивает их частоты и ранжирует
+class SemanticCoreBuilder {
+  constructor(frequencyService, logService) {
+    this.frequencyService = frequencyService;
+    this.logService = logService;
+    this.MAX_WORDS = 3;
+    this.MIN_TITLES = 2; // фраза должна встретиться хотя бы в двух названиях
+    this.MAX_PHRASES = 500;
+    this.BATCH_SIZE = 100;
+    this.STOP_WORDS = new Set([
+      "и", "в", "во", "на", "с", "со", "для", "из", "от", "до", "по", "под",
+      "над", "к", "ко", "о", "об", "при", "без", "у", "за", "а", "или", "не",
+      "же", "что", "это", "как", "шт", "уп", "the", "and", "for",
+      "with",
+    ]);
+  }
+
+  tokenize(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/ё/g, "е")
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  // Фраза -> число названий, в которых она встречается
+  extractPhrases(titles, brands) {
+    const brandWords = new Set(brands.flatMap((brand) => this.tokenize(brand)));
+    const phrases = new Map();
+
+    for (const title of titles) {
+      const words = this.tokenize(title).filter(
+        (word) =>
+          !this.STOP_WORDS.has(word) &&
+          !brandWords.has(word) &&
+          /\p{L}/u.test(word) &&
+          word.length > 1
       );
 
-      // Сохраняем состояние
+      // Одна фраза считается в названии один раз
+      const titlePhrases = new Set();
+      for (let n = 1; n <= this.MAX_WORDS; n++) {
+        for (let i = 0; i + n <= words.length; i++) {
+          titlePhrases.add(words.slice(i, i + n).join(" "));
+        }
+      }
+      for (const phrase of titlePhrases) {
+        phrases.set(phrase, (phrases.get(phrase) || 0) + 1);
+      }
+    }
+    return phrases;
+  }
+
+  // rows - строки отчета с полями Название и Бренд. Возвращает строки листа
+  // "Семантическое ядро", отсортированные по частоте
+  async build(rows, providerNames, userId, stats = null) {
+    const titles = [...new Set(rows.map((row) => row["Название"]))];
+    const brands = [
+      ...new Set(rows.map((row) => row["Бренд"]).filter(Boolean)),
+    ];
+    const candidates = [...this.extractPhrases(titles, brands)]
+      .filter(([, count]) => count >= this.MIN_TITLES)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.MAX_PHRASES);
+
+    await this.logService.updateLogMessage(
+      userId,
+      `🧠 Семантическое ядро: проверяем ${candidates.length} фраз`
+    );
+
+    // Для ядра достаточно основного источника частот
+    const [columns] = this.frequencyService.getColumns([providerNames[0]]);
+    const frequencyRows = new Map();
+    for (let i = 0; i < candidates.length; i += this.BATCH_SIZE) {
+      const batch = candidates
+        .slice(i, i + this.BATCH_SIZE)
+        .map(([phrase]) => phrase);
+      const batchRows = await this.frequencyService.lookupRows(
+        batch,
+        [providerNames[0]],
+        userId,
+        stats
+      );
+      for (const row of batchRows) frequencyRows.set(row["Название"], row);
+    }
+
+    return candidates
+      .map(([phrase, count]) => {
+        const row = frequencyRows.get(phrase) || {};
+        return {
+          Фраза: phrase,
+          Частота: row[columns["Частота товара"]] || 0,
+          "Количество товара": row[columns["Количество товара"]] || 0,
+          "Названий с фразой": count,
+          Статус: row[columns["Статус"]] || FREQUENCY_STATUSES.no_cluster,
+        };
+      })
+      .sort(
+        (a, b) =>
+          b["Частота"] - a["Частота"] ||
+          b["Названий с фразой"] - a["Названий с фразой"]
+      );
+  }
+}
+
+class ExcelParser {
+  constructor(
+    bot,
+    fileService,
+    frequencyService,
+    logService,
+    historyStore,
+    columnMappingStore,
+    botHandlers = null
+  ) {
+    this.bot = bot;
+    this.fileService = fileService;
+    this.frequencyService = frequencyService;
+    this.logService = logService;
+    this.historyStore = historyStore;
+    this.columnMappingStore = columnMappingStore;
+    this.userStates = {};
+    this.botHandlers = botHandlers;
+  }
+
+  async handleExcelFile(userId, fileId, filePath, fileName = filePath) {
+    try {
+      // Сначала показываем найденные листы и столбцы: названия могут быть
+      // в любом столбце, а частоты - писаться в столбцы с другими заголовками
+      const sheets = await this.fileService.inspectWorkbook(filePath, userId);
+      const savedMapping = await this.columnMappingStore.get(userId);
+
       this.userStates[userId] = {
         filePath,
-        data,
-        names,
-        hasFrequency,
-        hasQuantity,
+        fileName,
+        sheets,
+        mapping: this.resolveMapping(sheets, savedMapping),
+        mappingStep: null,
+        providers: [DEFAULT_PROVIDER],
+        metrics: [],
       };
 
-      // Отправляем клавиатуру с действиями
-      await this.sendActionKeyboard(userId, names.length);
+      await this.bot.sendMessage(userId, this.getMappingText(userId), {
+        reply_markup: this.getMappingKeyboard(userId),
+      });
     } catch (error) {
       await this.bot.sendMessage(
         userId,
@@ -612,6 +2452,188 @@ class ExcelParser {
     }
   }
 
+  // Запомненный выбор применяется, если в новом файле есть такой лист и
+  // столбец названий; иначе берутся первый лист и столбец "Название"
+  resolveMapping(sheets, savedMapping) {
+    const mapping = { ...DEFAULT_COLUMN_MAPPING, ...savedMapping };
+    const sheet =
+      sheets.find((item) => item.name === mapping.sheet) || sheets[0];
+    mapping.sheet = sheet.name;
+    if (!sheet.headers.includes(mapping.nameColumn)) {
+      mapping.nameColumn = sheet.headers.includes(
+        DEFAULT_COLUMN_MAPPING.nameColumn
+      )
+        ? DEFAULT_COLUMN_MAPPING.nameColumn
+        : null;
+    }
+    return mapping;
+  }
+
+  getCurrentSheet(userId) {
+    const { sheets, mapping } = this.userStates[userId];
+    return sheets.find((sheet) => sheet.name === mapping.sheet) || sheets[0];
+  }
+
+  // Без Markdown: заголовки столбцов приходят из файла как есть
+  getMappingText(userId) {
+    const { sheets, mapping } = this.userStates[userId];
+    const { headers } = this.getCurrentSheet(userId);
+    return `🗂 Столбцы файла\n• Лист: ${mapping.sheet}${
+      sheets.length > 1 ? ` (всего листов: ${sheets.length})` : ""
+    }\n• Найденные столбцы: ${headers.join(", ") || "нет"}\n\n• Названия: ${
+      mapping.nameColumn || "не выбран"
+    }\n• Частота → ${mapping.frequencyColumn}\n• Количество → ${
+      mapping.quantityColumn
+    }\n\n${
+      mapping.nameColumn
+        ? "Измените выбор кнопками или нажмите «Готово»."
+        : "Выберите столбец с названиями товаров."
+    }`;
+  }
+
+  getMappingKeyboard(userId) {
+    const { sheets, mapping, mappingStep } = this.userStates[userId];
+    const { headers } = this.getCurrentSheet(userId);
+    const back = [{ text: "⬅️ Назад", callback_data: "xmap:back" }];
+    const headerButtons = (action) =>
+      headers.map((header, index) => [
+        { text: header.slice(0, 40), callback_data: `${action}:${index}` },
+      ]);
+
+    if (mappingStep === "sheet") {
+      return {
+        inline_keyboard: [
+          ...sheets.map((sheet, index) => [
+            {
+              text: sheet.name === mapping.sheet ? `✅ ${sheet.name}` : sheet.name,
+              callback_data: `xsheet:${index}`,
+            },
+          ]),
+          back,
+        ],
+      };
+    }
+    if (mappingStep === "name") {
+      return { inline_keyboard: [...headerButtons("xname"), back] };
+    }
+    if (mappingStep === "freq" || mappingStep === "qty") {
+      const action = mappingStep === "freq" ? "xfreq" : "xqty";
+      const defaultColumn =
+        mappingStep === "freq"
+          ? DEFAULT_COLUMN_MAPPING.frequencyColumn
+          : DEFAULT_COLUMN_MAPPING.quantityColumn;
+      return {
+        inline_keyboard: [
+          ...headerButtons(action),
+          [
+            {
+              text: `➕ Столбец «${defaultColumn}»`,
+              callback_data: `${action}:new`,
+            },
+          ],
+          back,
+        ],
+      };
+    }
+
+    return {
+      inline_keyboard: [
+        ...(sheets.length > 1
+          ? [[{ text: "📄 Лист", callback_data: "xmap:sheet" }]]
+          : []),
+        [{ text: "🏷 Столбец названий", callback_data: "xmap:name" }],
+        [
+          { text: "📊 Столбец частоты", callback_data: "xmap:freq" },
+          { text: "📦 Столбец количества", callback_data: "xmap:qty" },
+        ],
+        ...(mapping.nameColumn
+          ? [[{ text: "✅ Готово", callback_data: "xmap:ok" }]]
+          : []),
+      ],
+    };
+  }
+
+  async handleMappingAction(userId, action, value, messageId) {
+    const state = this.userStates[userId];
+    if (!state?.sheets) return;
+    const messageOptions = { chat_id: userId, message_id: messageId };
+    const { headers } = this.getCurrentSheet(userId);
+    const index = parseInt(value);
+
+    if (action === "xmap" && value === "ok") {
+      if (!state.mapping.nameColumn) return;
+      await this.bot.editMessageText(this.getMappingText(userId), messageOptions);
+      return this.confirmMapping(userId);
+    } else if (action === "xmap") {
+      state.mappingStep = value === "back" ? null : value;
+    } else if (action === "xsheet" && state.sheets[index]) {
+      state.mapping = this.resolveMapping(state.sheets, {
+        ...state.mapping,
+        sheet: state.sheets[index].name,
+      });
+      state.mappingStep = null;
+    } else if (action === "xname" && headers[index] !== undefined) {
+      state.mapping.nameColumn = headers[index];
+      state.mappingStep = null;
+    } else if (action === "xfreq" || action === "xqty") {
+      const field = action === "xfreq" ? "frequencyColumn" : "quantityColumn";
+      if (value === "new") {
+        state.mapping[field] = DEFAULT_COLUMN_MAPPING[field];
+      } else if (headers[index] !== undefined) {
+        state.mapping[field] = headers[index];
+      } else {
+        return;
+      }
+      state.mappingStep = null;
+    } else {
+      return;
+    }
+
+    await this.bot.editMessageText(this.getMappingText(userId), {
+      ...messageOptions,
+      reply_markup: this.getMappingKeyboard(userId),
+    });
+  }
+
+  // Читает названия по выбранным столбцам и запоминает выбор пользователя
+  async confirmMapping(userId) {
+    const state = this.userStates[userId];
+    try {
+      const {
+        names: rawNames,
+        hasFrequency,
+        hasQuantity,
+      } = await this.fileService.readExcelFile(state.filePath, state.mapping);
+      const names = rawNames
+        .map((name) => this.fileService.normalizeProductName(name))
+        .filter((name) => name && name.trim() !== "");
+
+      if (!names.length) {
+        state.mappingStep = null;
+        await this.bot.sendMessage(
+          userId,
+          `❌ В столбце «${state.mapping.nameColumn}» не найдено названий. Выберите другой столбец.`
+        );
+        await this.bot.sendMessage(userId, this.getMappingText(userId), {
+          reply_markup: this.getMappingKeyboard(userId),
+        });
+        return;
+      }
+
+      await this.columnMappingStore.set(userId, state.mapping);
+
+      // Сам лист не храним, при записи файл читается заново
+      Object.assign(state, { names, hasFrequency, hasQuantity });
+      await this.sendActionKeyboard(userId, names.length);
+    } catch (error) {
+      await this.bot.sendMessage(
+        userId,
+        `❌ Ошибка при обработке файла: ${error.message}`
+      );
+      await this.logService.log(`Excel file error: ${error.message}`, "error");
+    }
+  }
+
   async sendActionKeyboard(userId, itemsCount) {
     const state = this.userStates[userId];
     if (!state) return;
@@ -635,6 +2657,8 @@ class ExcelParser {
       keyboard.keyboard.push(["Обновить количество товаров"]);
     }
 
+    // Оба значения приходят в одном ответе источника, поэтому за один проход
+    keyboard.keyboard.push(["Заполнить частоту и количество"]);
     keyboard.keyboard.push(["Отмена"]);
 
     await this.bot.sendMessage(
@@ -642,6 +2666,76 @@ class ExcelParser {
       `📊 Файл успешно обработан. Найдено товаров: ${itemsCount}\nВыберите действие:`,
       { reply_markup: keyboard }
     );
+
+    await this.bot.sendMessage(
+      userId,
+      "📚 Источник частот и дополнительные столбцы:",
+      { reply_markup: this.getProviderKeyboard(userId) }
+    );
+  }
+
+  getProviderKeyboard(userId) {
+    const { providers, metrics } = this.userStates[userId];
+    return {
+      inline_keyboard: [
+        [...this.frequencyService.providers.values()].map((provider) => ({
+          text: providers.includes(provider.name)
+            ? `✅ ${provider.label}`
+            : provider.label,
+          callback_data: `xprovider:${provider.name}`,
+        })),
+        ...getMetricKeyboardRows(
+          this.frequencyService.getMetricOptions(),
+          metrics,
+          "xmetric"
+        ),
+      ],
+    };
+  }
+
+  async toggleMetric(userId, metricKey, messageId) {
+    const state = this.userStates[userId];
+    if (!state) return;
+
+    state.metrics = toggleMetricSelection(state.metrics, metricKey);
+    await this.bot.editMessageReplyMarkup(this.getProviderKeyboard(userId), {
+      chat_id: userId,
+      message_id: messageId,
+    });
+  }
+
+  async toggleProvider(userId, providerName, messageId) {
+    const state = this.userStates[userId];
+    if (!state) return;
+
+    state.providers = toggleProviderSelection(state.providers, providerName);
+    await this.bot.editMessageReplyMarkup(this.getProviderKeyboard(userId), {
+      chat_id: userId,
+      message_id: messageId,
+    });
+  }
+
+  // Сохраняет снимок частот файла и, если просили, добавляет к строкам
+  // столбцы динамики. Возвращает добавленные столбцы
+  async applyHistory(userId, fileName, rows, withGrowth) {
+    const scope = `file:${userId}:${fileName}`;
+    try {
+      const previous = await this.historyStore.getLatest(scope);
+      await this.historyStore.addSnapshot(scope, {
+        userId,
+        label: fileName,
+        frequencies: collectFrequencies(rows),
+      });
+      if (!previous || !withGrowth) return [];
+      addGrowthColumns(rows, previous);
+      return ["Предыдущая частота", "Изменение", "Изменение, %"];
+    } catch (error) {
+      await this.logService.log(
+        `Failed to update frequency history: ${error.message}`,
+        "warning"
+      );
+      return [];
+    }
   }
 
   async processUserChoice(userId, choice) {
@@ -655,16 +2749,21 @@ class ExcelParser {
     }
 
     const state = this.userStates[userId];
-    const { names, filePath } = state;
+    const { names, filePath, mapping } = state;
+    if (!names) {
+      await this.bot.sendMessage(
+        userId,
+        "❌ Сначала выберите столбцы файла и нажмите «Готово»."
+      );
+      return;
+    }
 
     try {
       // Очищаем старые логи
       await this.logService.clearLogMessages(userId);
 
-      // Определяем поле для обновления
-      const fieldToUpdate = choice.includes("частот")
-        ? "Частота товара"
-        : "Количество товара";
+      // Определяем поля для обновления
+      const fieldsToUpdate = EXCEL_ACTIONS[choice];
 
       // Уведомляем о начале обработки
       const processingMsg = await this.bot.sendMessage(
@@ -675,20 +2774,60 @@ class ExcelParser {
 
       this.logService.log("Обрабатываем данные", "info");
       // Обрабатываем данные
-      const results = await this.evirmaClient.processExcelData(
+      const cacheStats = { hits: 0, misses: 0 };
+      const results = await this.frequencyService.processExcelData(
         names,
-        fieldToUpdate,
         null,
-        userId
+        userId,
+        {
+          stats: cacheStats,
+          providers: state.providers,
+          metrics: state.metrics,
+        }
+      );
+
+      // Динамика частоты относительно прошлой загрузки этого же файла
+      const growthFields = await this.applyHistory(
+        userId,
+        state.fileName,
+        [...results.values()],
+        fieldsToUpdate.includes("Частота товара")
       );
 
       this.logService.log("Обновляем файл", "info");
 
-      // Обновляем файл
+      // Обновляем файл. Основные столбцы пишем под заголовками, выбранными
+      // пользователем, в том числе с подписью второго источника
+      const columnSets = this.frequencyService.getColumns(
+        state.providers,
+        state.metrics
+      );
+      const columnNames = {};
+      for (const columns of columnSets) {
+        columnNames[columns["Частота товара"]] = columns[
+          "Частота товара"
+        ].replace("Частота товара", mapping.frequencyColumn);
+        columnNames[columns["Количество товара"]] = columns[
+          "Количество товара"
+        ].replace("Количество товара", mapping.quantityColumn);
+      }
       const updatedFilePath = await this.fileService.updateExcelFile(
         filePath,
         results,
-        fieldToUpdate
+        [
+          ...columnSets.flatMap((columns) => [
+            ...fieldsToUpdate.map((field) => columns[field]),
+            columns["Статус"],
+            ...Object.values(columns.metrics),
+          ]),
+          ...growthFields,
+        ],
+        {
+          sheet: mapping.sheet,
+          nameColumn: mapping.nameColumn,
+          columnNames,
+          clearFields: growthFields,
+        }
       );
 
       // Отправляем обновленный файл
@@ -701,13 +2840,20 @@ class ExcelParser {
       // Уведомляем о завершении и показываем меню парсинга
       await this.bot.sendMessage(
         userId,
-        `✅ ${choice} успешно завершено!\nОбработано товаров: ${names.length}`,
+        `✅ ${choice} успешно завершено!\nОбработано товаров: ${
+          names.length
+        } (уникальных названий: ${
+          results.size
+        })\n${this.frequencyService.formatTally(
+          [...results.values()],
+          state.providers
+        )}\n${formatCacheStats(cacheStats)}`,
         { parse_mode: "Markdown" }
       );
 
       // Возвращаемся в меню парсинга
       setTimeout(() => {
-        this.showParsingMenu(userId);
+        this.botHandlers.showParsingMenu(userId);
       }, 1000);
     } catch (error) {
       if (error.response && error.response.statusCode === 429) {
@@ -733,7 +2879,7 @@ class ExcelParser {
 
       // Возвращаемся в меню парсинга даже при ошибке
       setTimeout(() => {
-        this.showParsingMenu(userId);
+        this.botHandlers.showParsingMenu(userId);
       }, 1000);
     } finally {
       // Очищаем состояние
@@ -758,13 +2904,343 @@ class ExcelParser {
   }
 }
 
+// Чекпоинты задач парсинга на диске: по одному JSON-файлу на задачу
+class JobStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(jobId) {
+    return path.join(this.dir, `${jobId}.json`);
+  }
+
+  async save(job) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.filePath(job.id), JSON.stringify(job), "utf-8");
+  }
+
+  async load(jobId) {
+    // id приходит из callback_data, поэтому не пускаем в путь ничего лишнего
+    if (!/^\d+_\d+$/.test(jobId)) return null;
+    try {
+      const raw = await fs.readFile(this.filePath(jobId), "utf-8");
+      return ParseJob.fromJSON(JSON.parse(raw));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async remove(jobId) {
+    try {
+      await fs.unlink(this.filePath(jobId));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // Незавершенные задачи пользователя: прерванные и оборванные перезапуском
+  async listUnfinished(userId) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const jobs = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const job = await this.load(path.basename(file, ".json"));
+      if (job && job.userId === userId) jobs.push(job);
+    }
+    return jobs;
+  }
+}
+
+// Настройки пользователей в JSON-файле: запомненный выбор столбцов в Excel
+// с названиями, форматы отчета по умолчанию
+class UserSettingsStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.mappings = null;
+  }
+
+  async load() {
+    if (this.mappings) return;
+    try {
+      this.mappings = JSON.parse(await fs.readFile(this.filePath, "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      this.mappings = {};
+    }
+  }
+
+  async get(userId) {
+    await this.load();
+    return this.mappings[userId] || null;
+  }
+
+  async set(userId, mapping) {
+    await this.load();
+    this.mappings[userId] = mapping;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(
+      this.filePath,
+      JSON.stringify(this.mappings, null, 2),
+      "utf-8"
+    );
+  }
+}
+
+// Снимки частот с датой. Область (scope) - ссылка на категорию или
+// загруженный файл; для каждой хранится HISTORY_SNAPSHOTS последних снимков
+class HistoryStore {
+  constructor(dir, limit, logService) {
+    this.dir = dir;
+    this.limit = limit;
+    this.logService = logService;
+  }
+
+  filePath(scope) {
+    const hash = crypto.createHash("sha1").update(scope).digest("hex");
+    return path.join(this.dir, `${hash.slice(0, 16)}.json`);
+  }
+
+  async load(scope) {
+    return this.readFile(this.filePath(scope));
+  }
+
+  // Испорченный файл истории пропускаем с записью в лог, как будто его нет
+  async readFile(filePath) {
+    try {
+      const history = JSON.parse(await fs.readFile(filePath, "utf-8"));
+      if (!Array.isArray(history?.snapshots)) {
+        throw new Error("нет списка снимков");
+      }
+      return history;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      await this.logService.log(
+        `Skipping unreadable history file ${filePath}: ${error.message}`,
+        "warning"
+      );
+      return null;
+    }
+  }
+
+  // Последний снимок области (до записи нового) или null
+  async getLatest(scope) {
+    const history = await this.load(scope);
+    return history?.snapshots[history.snapshots.length - 1] || null;
+  }
+
+  // frequencies - { название: частота }
+  async addSnapshot(scope, { userId, label, frequencies }) {
+    const history = (await this.load(scope)) || { scope, snapshots: [] };
+    history.userId = userId;
+    history.label = label;
+    history.updatedAt = Date.now();
+    history.snapshots.push({ createdAt: Date.now(), frequencies });
+    history.snapshots = history.snapshots.slice(-this.limit);
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.filePath(scope), JSON.stringify(history), "utf-8");
+  }
+
+  // Последняя обновленная область пользователя, у которой есть с чем сравнить
+  async getLatestComparable(userId) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    let latest = null;
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const history = await this.readFile(path.join(this.dir, file));
+      if (
+        history?.userId === userId &&
+        history.snapshots.length > 1 &&
+        (!latest || history.updatedAt > latest.updatedAt)
+      ) {
+        latest = history;
+      }
+    }
+    return latest;
+  }
+}
+
+// Столбцы динамики частоты относительно прошлого снимка. Строки без прошлого
+// значения получают пустые ячейки
+function addGrowthColumns(rows, previous, frequencyField = "Частота товара") {
+  for (const row of rows) {
+    const before = previous.frequencies[row["Название"]];
+    const current = row[frequencyField] || 0;
+    if (before === undefined || row["Статус"] === FREQUENCY_STATUSES.failed) {
+      row["Предыдущая частота"] = "";
+      row["Изменение"] = "";
+      row["Изменение, %"] = "";
+      continue;
+    }
+    row["Предыдущая частота"] = before;
+    row["Изменение"] = current - before;
+    row["Изменение, %"] = before
+      ? Math.round(((current - before) / before) * 1000) / 10
+      : "";
+  }
+}
+
+// Частоты для снимка: ошибки запроса не сохраняем, чтобы не записать их в падение
+function collectFrequencies(rows, frequencyField = "Частота товара") {
+  const frequencies = {};
+  for (const row of rows) {
+    if (row["Статус"] === FREQUENCY_STATUSES.failed) continue;
+    frequencies[row["Название"]] = row[frequencyField] || 0;
+  }
+  return frequencies;
+}
+
+// Отдельная задача парсинга: у каждой свои результаты, время и статус,
+// поэтому параллельные запуски разных админов не смешивают данные
+class ParseJob {
+  constructor(url, userId, type, options = {}) {
+    this.id = `${userId}_${Date.now()}`;
+    this.url = url;
+    this.userId = userId;
+    this.type = type;
+    this.options = options;
+    this.status = "pending";
+    this.results = [];
+    // Последняя успешно обработанная страница в текущем регионе
+    this.progress = { regionIndex: 0, page: 0 };
+    this.pagesDone = 0;
+    // Название категории, запроса, товара, бренда или продавца
+    this.title = null;
+    this.cacheStats = { hits: 0, misses: 0 };
+    this.startTime = null;
+    this.endTime = null;
+    this.error = null;
+  }
+
+  start() {
+    this.status = "running";
+    this.startTime = Date.now();
+  }
+
+  finish(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.endTime = Date.now();
+  }
+
+  toJSON() {
+    const { id, url, userId, type, options, status, results } = this;
+    const { progress, pagesDone, error, title, startTime } = this;
+    return {
+      id,
+      url,
+      userId,
+      type,
+      options,
+      status,
+      results,
+      progress,
+      pagesDone,
+      error,
+      title,
+      startTime,
+    };
+  }
+
+  static fromJSON(data) {
+    // В старых чекпоинтах нет части параметров - подставляем значения
+    // по умолчанию, как при создании задачи
+    const job = new ParseJob(data.url, data.userId, data.type, {
+      regions: [DEFAULT_REGION],
+      providers: [DEFAULT_PROVIDER],
+      metrics: [],
+      semanticCore: false,
+      formats: DEFAULT_OUTPUT_FORMATS,
+      ...data.options,
+    });
+    Object.assign(job, {
+      id: data.id,
+      status: data.status,
+      results: data.results,
+      progress: data.progress,
+      pagesDone: data.pagesDone,
+      error: data.error,
+      title: data.title,
+      startTime: data.startTime || null,
+    });
+    return job;
+  }
+
+  get elapsedSeconds() {
+    if (!this.startTime) return 0;
+    return ((this.endTime || Date.now()) - this.startTime) / 1000;
+  }
+
+  // Параметры запуска для листа "Параметры" в отчете
+  getReportParams(frequencyService) {
+    const {
+      maxPages,
+      sort,
+      regions,
+      providers,
+      metrics = [],
+      semanticCore = false,
+      formats = DEFAULT_OUTPUT_FORMATS,
+    } = this.options;
+    return [
+      { Параметр: "Ссылка", Значение: this.url },
+      { Параметр: "Глубина (страниц)", Значение: maxPages },
+      {
+        Параметр: "Сортировка",
+        Значение: sort ? WB_SORT_OPTIONS[sort] : "Как в ссылке",
+      },
+      { Параметр: "Регионы", Значение: regions.join(", ") },
+      {
+        Параметр: "Источник частот",
+        Значение: frequencyService.getLabels(providers).join(", "),
+      },
+      {
+        Параметр: "Доп. столбцы",
+        Значение: frequencyService.getMetricLabels(metrics).join(", ") || "нет",
+      },
+      { Параметр: "Семантическое ядро", Значение: semanticCore ? "да" : "нет" },
+      {
+        Параметр: "Форматы",
+        Значение: formats.map((format) => OUTPUT_FORMATS[format]).join(", "),
+      },
+      {
+        Параметр: "Дата запуска",
+        Значение: new Date(this.startTime).toLocaleString("ru-RU"),
+      },
+    ];
+  }
+}
+
 class WildberriesParser {
-  constructor(fileService, evirmaClient, logService) {
+  constructor(
+    fileService,
+    frequencyService,
+    logService,
+    jobStore,
+    semanticCoreBuilder,
+    historyStore
+  ) {
     this.fileService = fileService;
-    this.evirmaClient = evirmaClient;
+    this.frequencyService = frequencyService;
     this.logService = logService;
+    this.jobStore = jobStore;
+    this.historyStore = historyStore;
+    this.semanticCoreBuilder = semanticCoreBuilder;
     this.catalogData = null;
-    this.results = [];
+    this.jobs = new Map();
     this.headers = {
       "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64)",
       Accept: "application/json",
@@ -869,17 +3345,35 @@ class WildberriesParser {
     }
   }
 
-  async scrapeWbSearchPage(page, searchParams, userId) {
-    const { query, filters } = searchParams;
-    const encodedQuery = encodeURIComponent(query);
-
-    // Базовый URL поиска
-    let url = `https://search.wb.ru/exactmatch/sng/common/v13/search?ab_testing=false&appType=1&curr=rub&dest=-1257786&lang=ru&page=${page}&query=${encodedQuery}&resultset=catalog&sort=popular&spp=0`;
+  // Фильтры из ссылки (priceU, xsubject, fbrand, fsupplier, sort и любые другие)
+  // дополняют базовые параметры запроса и переопределяют их при совпадении.
+  // Сортировка, выбранная при запуске, важнее сортировки из ссылки
+  buildSearchUrl(endpoint, baseParams, filters = {}, options = {}) {
+    const params = new URLSearchParams({ ...baseParams, ...filters });
+    if (options.sort) params.set("sort", options.sort);
+    if (options.dest) params.set("dest", options.dest);
+    return `${endpoint}?${params.toString()}`;
+  }
 
-    // Добавляем все параметры фильтрации
-    for (const [key, value] of Object.entries(filters)) {
-      url += `&${key}=${encodeURIComponent(value)}`;
-    }
+  async scrapeWbSearchPage(page, searchParams, userId, options = {}) {
+    const { query, filters } = searchParams;
+    const url = this.buildSearchUrl(
+      "https://search.wb.ru/exactmatch/sng/common/v13/search",
+      {
+        ab_testing: "false",
+        appType: 1,
+        curr: "rub",
+        dest: -1257786,
+        lang: "ru",
+        page,
+        query,
+        resultset: "catalog",
+        sort: "popular",
+        spp: 0,
+      },
+      filters,
+      options
+    );
 
     await this.logService.log(`Search URL: ${url}`);
     const MAX_RETRIES = 6;
@@ -943,24 +3437,14 @@ class WildberriesParser {
     );
   }
 
-  async scrapeWbSearchPageWithQueue(page, searchParams, userId) {
-    return queue.add(() => this.scrapeWbSearchPage(page, searchParams, userId));
+  async scrapeWbSearchPageWithQueue(page, searchParams, userId, options) {
+    return queue.add(() =>
+      this.scrapeWbSearchPage(page, searchParams, userId, options)
+    );
   }
 
-  async parseSearch(url, userId) {
-    if (this.activeParsingUsers.has(userId)) {
-      await this.logService.log(
-        `Parsing already in progress for user ${userId}`
-      );
-      return false;
-    }
-
-    // Очищаем старые логи
-    await this.logService.clearLogMessages(userId);
-
-    this.activeParsingUsers.add(userId);
-    const startTime = Date.now();
-    this.results = [];
+  async parseSearch(job) {
+    const { url, userId } = job;
 
     try {
       const searchParams = await this.findSearchByUrl(url);
@@ -969,100 +3453,295 @@ class WildberriesParser {
           "Search query not found. Check the URL.",
           "warning"
         );
+        job.finish("failed", "Search query not found");
         return false;
       }
+      job.title = searchParams.query;
 
-      for (let page = 1; page <= this.MAX_PAGES; page++) {
-        try {
-          const { data, logMessage } = await this.scrapeWbSearchPageWithQueue(
-            page,
-            searchParams,
-            userId
-          );
-          await this.logService.updateLogMessage(userId, logMessage);
+      const completed = await this.collectPages(job, (page, dest) =>
+        this.scrapeWbSearchPageWithQueue(page, searchParams, userId, {
+          ...job.options,
+          dest,
+        })
+      );
+      if (!completed) return this.interruptJob(job);
 
-          const products = await this.processProducts(data);
-          if (!products.length) {
-            await this.logService.log(
-              `Page ${page}: no products found, stopping parsing.`
-            );
-            break;
-          }
+      return await this.sendJobReport(
+        job,
+        `search_${searchParams.query}_analysis_${Date.now()}`,
+        "❌ Не найдено товаров по данному поисковому запросу с указанными фильтрами."
+      );
+    } catch (error) {
+      await this.logService.log(
+        `Search parsing error: ${error.message}`,
+        "error"
+      );
+      return this.interruptJob(job, error.message);
+    } finally {
+      await this.completeJob(job);
+      await this.logService.log(
+        `Total search parsing time: ${job.elapsedSeconds.toFixed(2)} seconds`
+      );
+    }
+  }
 
-          let evirmaResponse;
-          try {
-            evirmaResponse = await this.evirmaClient.queryEvirmaApi(
-              products,
-              userId
-            );
-            if (!evirmaResponse) break;
-          } catch (error) {
-            await bot.sendMessage(userId, `❌ ${error.message}`, {
-              parse_mode: "Markdown",
-            });
-            break;
-          }
+  async parseUrl(url, userId, options = {}) {
+    const job = await this.createJob(url, userId, this.getUrlType(url), options);
+    if (!job) return false;
+    return this.runJob(job);
+  }
 
-          const pageResults = await this.evirmaClient.parseEvirmaResponse(
-            evirmaResponse
-          );
-          this.results.push(...pageResults);
-        } catch (error) {
-          await bot.sendMessage(userId, `❌ ${error.message}`, {
-            parse_mode: "Markdown",
-          });
-          break;
-        }
-      }
+  // Парсинг без отправки отчета: возвращает задачу с результатами и статусом
+  async collectUrl(url, userId, options = {}) {
+    const job = await this.createJob(url, userId, this.getUrlType(url), {
+      ...options,
+      deliver: false,
+    });
+    if (!job) return null;
+    await this.runJob(job);
+    return job;
+  }
 
-      if (!this.results || !this.results.length) {
-        return await bot.sendMessage(
-          userId,
-          `📊 Найдены товары, но у всех частота поиска равна 0.\nВозможно, эти товары редко ищут или они новые в каталоге.`,
-          { parse_mode: "Markdown" }
+  // Определяем тип URL (карточка товара, бренд, продавец, поиск или каталог)
+  getUrlType(url) {
+    const { pathname } = new URL(url);
+    if (/^\/catalog\/\d+\/detail\.aspx/.test(pathname)) return "product";
+    if (pathname.startsWith("/brands/")) return "brand";
+    if (pathname.startsWith("/seller/")) return "seller";
+    if (url.includes("/search.aspx?")) return "search";
+    return "category";
+  }
+
+  async runJob(job) {
+    // Очищаем старые логи
+    await this.logService.clearLogMessages(job.userId);
+
+    switch (job.type) {
+      case "product":
+        return this.parseProduct(job);
+      case "brand":
+      case "seller":
+        return this.parseCatalogSource(job);
+      case "search":
+        return this.parseSearch(job);
+      default:
+        return this.parseCategory(job);
+    }
+  }
+
+  // Продолжает прерванную задачу с последней сохраненной страницы
+  async resumeJob(jobId, userId) {
+    const job = await this.jobStore.load(jobId);
+    if (!job || job.userId !== userId) return null;
+
+    // Общий файл уже отправлен, поэтому продолженная задача шлет свой отчет
+    job.options.deliver = true;
+    return this.continueJob(job);
+  }
+
+  // Запускает загруженную из чекпоинта задачу с сохраненного места
+  async continueJob(job) {
+    if (!this.lockUser(job.userId)) return false;
+    this.jobs.set(job.id, job);
+    job.start();
+
+    await this.logService.log(
+      `Resuming job ${job.id} from page ${job.progress.page} (region ${
+        job.progress.regionIndex + 1
+      })`
+    );
+    return this.runJob(job);
+  }
+
+  // Карточка товара: берем его название и разбираем выдачу по нему,
+  // чтобы в отчет попали сам товар и его конкуренты
+  async parseProduct(job) {
+    const { url, userId } = job;
+
+    try {
+      const nm = new URL(url).pathname.match(/^\/catalog\/(\d+)/)[1];
+      const card = await this.fetchProductCard(nm);
+      if (!card) {
+        await this.logService.log(
+          `Product ${nm} not found. Check the URL.`,
+          "warning"
         );
+        job.finish("failed", "Product not found");
+        return false;
       }
 
-      if (this.results.length > 0) {
-        const filename = `search_${searchParams.query}_analysis_${Date.now()}`;
-        const filePath = await this.fileService.saveToExcel(
-          this.results,
-          filename
+      job.title = card.name;
+      const searchParams = { query: card.name, filters: {} };
+      const completed = await this.collectPages(job, async (page, dest) => {
+        const result = await this.scrapeWbSearchPageWithQueue(
+          page,
+          searchParams,
+          userId,
+          { ...job.options, dest }
         );
-        if (filePath) {
-          await this.fileService.sendExcelToUser(filePath, filename, userId);
+
+        // Сам товар может не попасть в выдачу по своему названию
+        const products =
+          result.data.products || result.data.data?.products || [];
+        if (page === 1 && !products.some((product) => product.id === card.id)) {
+          return {
+            ...result,
+            data: { ...result.data, products: [card, ...products] },
+          };
         }
-      } else {
-        await bot.sendMessage(
-          userId,
-          "❌ Не найдено товаров по данному поисковому запросу с указанными фильтрами.",
-          { parse_mode: "Markdown" }
+        return result;
+      });
+      if (!completed) return this.interruptJob(job);
+
+      return await this.sendJobReport(
+        job,
+        `product_${nm}_analysis_${Date.now()}`,
+        "❌ Не найдено товаров по названию данного товара."
+      );
+    } catch (error) {
+      await this.logService.log(
+        `Product parsing error: ${error.message}`,
+        "error"
+      );
+      return this.interruptJob(job, error.message);
+    } finally {
+      await this.completeJob(job);
+      await this.logService.log(
+        `Total product parsing time: ${job.elapsedSeconds.toFixed(2)} seconds`
+      );
+    }
+  }
+
+  async fetchProductCard(nm) {
+    try {
+      const response = await axios.get(
+        `https://card.wb.ru/cards/v2/detail?appType=1&curr=rub&dest=-1257786&spp=30&nm=${nm}`,
+        { headers: this.headers }
+      );
+      const products =
+        response.data.data?.products || response.data.products || [];
+      return products.find((product) => "name" in product) || null;
+    } catch (error) {
+      await this.logService.log(
+        `Error fetching product card ${nm}: ${error.message}`,
+        "error"
+      );
+      throw error;
+    }
+  }
+
+  // Все товары бренда (/brands/<slug>) или продавца (/seller/<id>)
+  async parseCatalogSource(job) {
+    const { url, userId, type } = job;
+
+    try {
+      const source =
+        type === "brand"
+          ? await this.findBrandByUrl(url)
+          : await this.findSellerByUrl(url);
+      if (!source) {
+        await this.logService.log(
+          `${type} not found. Check the URL.`,
+          "warning"
         );
+        job.finish("failed", `${type} not found`);
+        return false;
       }
+      job.title = source.name;
 
-      return true;
+      const completed = await this.collectPages(job, (page, dest) =>
+        this.scrapeWbCatalogPageWithQueue(page, source, userId, {
+          ...job.options,
+          dest,
+        })
+      );
+      if (!completed) return this.interruptJob(job);
+
+      return await this.sendJobReport(
+        job,
+        `${type}_${source.name}_analysis_${Date.now()}`,
+        type === "brand"
+          ? "❌ Не найдено товаров данного бренда с указанными фильтрами."
+          : "❌ Не найдено товаров данного продавца с указанными фильтрами."
+      );
+    } catch (error) {
+      await this.logService.log(
+        `${type} parsing error: ${error.message}`,
+        "error"
+      );
+      return this.interruptJob(job, error.message);
+    } finally {
+      await this.completeJob(job);
+      await this.logService.log(
+        `Total ${type} parsing time: ${job.elapsedSeconds.toFixed(2)} seconds`
+      );
+    }
+  }
+
+  // Извлекаем все параметры фильтрации, кроме page
+  getFilterParams(url) {
+    const filterParams = {};
+    for (const [key, value] of new URL(url).searchParams.entries()) {
+      if (key !== "page") {
+        filterParams[key] = value;
+      }
+    }
+    return filterParams;
+  }
+
+  async findBrandByUrl(url) {
+    const slug = new URL(url).pathname.split("/")[2];
+    if (!slug) return null;
+
+    try {
+      const response = await axios.get(
+        `https://static-basket-01.wbbasket.ru/vol0/data/brands/${slug}.json`,
+        { headers: this.headers }
+      );
+      if (!response.data?.id) return null;
+
+      await this.logService.log(`Found brand: ${response.data.name}`);
+      return {
+        type: "brand",
+        name: response.data.name || slug,
+        params: { brand: response.data.id },
+        filters: this.getFilterParams(url),
+      };
     } catch (error) {
       await this.logService.log(
-        `Search parsing error: ${error.message}`,
+        `Error in findBrandByUrl: ${error.message}`,
         "error"
       );
-      return false;
-    } finally {
-      this.activeParsingUsers.delete(userId);
-      const elapsedTime = (Date.now() - startTime) / 1000;
-      await this.logService.log(
-        `Total search parsing time: ${elapsedTime.toFixed(2)} seconds`
-      );
+      throw error;
     }
   }
 
-  async parseUrl(url, userId) {
-    // Определяем тип URL (каталог или поиск)
-    if (url.includes("/search.aspx?")) {
-      return this.parseSearch(url, userId);
-    } else {
-      return this.parseCategory(url, userId);
+  async findSellerByUrl(url) {
+    const supplierId = new URL(url).pathname.split("/")[2];
+    if (!/^\d+$/.test(supplierId || "")) return null;
+
+    // Название продавца нужно только для имени файла, поэтому ошибку не пробрасываем
+    let name = supplierId;
+    try {
+      const response = await axios.get(
+        `https://static-basket-01.wbbasket.ru/vol0/data/supplier-by-id/${supplierId}.json`,
+        { headers: this.headers }
+      );
+      name = response.data?.trademark || response.data?.supplierName || name;
+    } catch (error) {
+      await this.logService.log(
+        `Error fetching seller ${supplierId}: ${error.message}`,
+        "warning"
+      );
     }
+
+    await this.logService.log(`Found seller: ${name}`);
+    return {
+      type: "seller",
+      name,
+      params: { supplier: supplierId },
+      filters: this.getFilterParams(url),
+    };
   }
 
   async findCategoryByUrl(url) {
@@ -1074,16 +3753,7 @@ class WildberriesParser {
       // Разбираем URL на базовый путь и параметры
       const urlObj = new URL(url);
       const baseUrl = urlObj.pathname;
-      const searchParams = urlObj.searchParams;
-
-      // Получаем параметры фильтрации
-      const filterParams = {
-        priceU: searchParams.get("priceU") || null,
-        xsubject: searchParams.get("xsubject") || null,
-        fbrand: searchParams.get("fbrand") || null,
-        fsupplier: searchParams.get("fsupplier") || null,
-        sort: searchParams.get("sort") || "popular",
-      };
+      const filterParams = this.getFilterParams(url);
 
       await this.logService.log(
         `Searching for category with URL: ${baseUrl}\nFilter params: ${JSON.stringify(
@@ -1103,19 +3773,9 @@ class WildberriesParser {
       if (category) {
         await this.logService.log(`Found category: ${category.name}`);
 
-        // Добавляем параметры фильтрации к query параметрам категории
-        let query = category.query || "";
-        if (filterParams.priceU) query += `&priceU=${filterParams.priceU}`;
-        if (filterParams.xsubject)
-          query += `&xsubject=${filterParams.xsubject}`;
-        if (filterParams.fbrand) query += `&fbrand=${filterParams.fbrand}`;
-        if (filterParams.fsupplier)
-          query += `&fsupplier=${filterParams.fsupplier}`;
-        if (filterParams.sort) query += `&sort=${filterParams.sort}`;
-
         return {
           ...category,
-          query: query,
+          filters: filterParams,
         };
       }
 
@@ -1130,10 +3790,33 @@ class WildberriesParser {
     }
   }
 
-  async scrapeWbPage(page, category, userId) {
+  async scrapeWbPage(page, category, userId, options = {}) {
     console.log(category);
     // const url = `https://catalog.wb.ru/catalog/${category.shard}/catalog?appType=1&curr=rub&dest=-1257786&locale=ru&page=${page}&sort=popular&spp=0&${category.query}`;
-    const url = `https://search.wb.ru/exactmatch/sng/common/v14/search?ab_testing=false&appType=1&curr=rub&dest=-1257786&hide_dtype=13;14&lang=ru&page=${page}&query=${category.searchQuery}&resultset=catalog&sort=popular&spp=30&suppressSpellcheck=false`;
+    const url = this.buildSearchUrl(
+      "https://search.wb.ru/exactmatch/sng/common/v14/search",
+      {
+        ab_testing: "false",
+        appType: 1,
+        curr: "rub",
+        dest: -1257786,
+        hide_dtype: "13;14",
+        lang: "ru",
+        page,
+        query: category.searchQuery,
+        resultset: "catalog",
+        sort: "popular",
+        spp: 30,
+        suppressSpellcheck: "false",
+      },
+      category.filters,
+      options
+    );
+    return this.fetchWbPage(url, page, userId);
+  }
+
+  // Запрос страницы выдачи WB с паузами между страницами и ожиданием при 429
+  async fetchWbPage(url, page, userId) {
     this.logService.log(`URL : ${url}`);
     const MAX_RETRIES = 6;
     let attempt = 0;
@@ -1141,7 +3824,9 @@ class WildberriesParser {
     while (attempt < MAX_RETRIES) {
       try {
         const response = await axios.get(url, { headers: this.headers });
-        const productsCount = response.data.products?.length || 0;
+        const productsCount =
+          (response.data.products || response.data.data?.products)?.length ||
+          0;
         const logMessage = `Страница ${page}: получено ${productsCount} товаров`;
         await this.logService.log(url);
         await this.logService.log(logMessage);
@@ -1197,28 +3882,89 @@ class WildberriesParser {
     );
   }
 
-  async scrapeWbPageWithQueue(page, category, userId) {
-    return queue.add(() => this.scrapeWbPage(page, category, userId));
+  async scrapeWbPageWithQueue(page, category, userId, options) {
+    return queue.add(() => this.scrapeWbPage(page, category, userId, options));
+  }
+
+  // Каталог бренда или продавца: source.params содержит brand или supplier
+  async scrapeWbCatalogPage(page, source, userId, options = {}) {
+    const url = this.buildSearchUrl(
+      `https://catalog.wb.ru/${source.type}s/v2/catalog`,
+      {
+        ab_testing: "false",
+        appType: 1,
+        curr: "rub",
+        dest: -1257786,
+        lang: "ru",
+        page,
+        sort: "popular",
+        spp: 30,
+        ...source.params,
+      },
+      source.filters,
+      options
+    );
+    return this.fetchWbPage(url, page, userId);
+  }
+
+  async scrapeWbCatalogPageWithQueue(page, source, userId, options) {
+    return queue.add(() =>
+      this.scrapeWbCatalogPage(page, source, userId, options)
+    );
   }
 
   async processProducts(productsData) {
-    return (productsData.products || [])
+    const products = productsData.products || productsData.data?.products || [];
+    return products
       .filter((product) => "name" in product)
-      .map((product) => this.fileService.normalizeProductName(product.name));
+      .map((product) => ({
+        name: this.fileService.normalizeProductName(product.name),
+        info: this.extractProductInfo(product),
+      }));
   }
 
-  async parseCategory(url, userId) {
-    // Проверяем, не идет ли уже парсинг для этого пользователя
-    if (this.activeParsingUsers.has(userId)) {
-      await this.logService.log(
-        `Parsing already in progress for user ${userId}`
+  // Метаданные товара из ответа поиска WB. Цены приходят в копейках:
+  // в новых версиях API в sizes[].price, в старых - в priceU/salePriceU
+  extractProductInfo(product) {
+    const sizePrice = product.sizes?.find((size) => size.price)?.price;
+    const basicPrice = sizePrice?.basic ?? product.priceU;
+    const salePrice = sizePrice?.product ?? product.salePriceU;
+    const stock =
+      product.totalQuantity ??
+      product.sizes?.reduce(
+        (sum, size) =>
+          sum +
+          (size.stocks || []).reduce((acc, stock) => acc + (stock.qty || 0), 0),
+        0
       );
-      return false;
-    }
 
-    this.activeParsingUsers.add(userId);
-    const startTime = Date.now();
-    this.results = [];
+    return {
+      Артикул: product.id ?? "",
+      Бренд: product.brand || "",
+      Продавец: product.supplier || "",
+      Цена: basicPrice ? basicPrice / 100 : "",
+      "Цена со скидкой": salePrice ? salePrice / 100 : "",
+      Рейтинг: product.reviewRating ?? product.rating ?? "",
+      Отзывы: product.feedbacks ?? product.nmFeedbacks ?? "",
+      Остаток: stock ?? "",
+    };
+  }
+
+  // Одна строка отчета на каждый товар страницы вместе со статусом частоты
+  mergeProductInfo(frequencyRows, products) {
+    const rowsByName = new Map(
+      frequencyRows.map((row) => [row["Название"], row])
+    );
+    return products
+      .filter((product) => rowsByName.has(product.name))
+      .map((product) => ({
+        ...rowsByName.get(product.name),
+        ...product.info,
+      }));
+  }
+
+  async parseCategory(job) {
+    const { url, userId } = job;
 
     try {
       const category = await this.findCategoryByUrl(url);
@@ -1227,101 +3973,429 @@ class WildberriesParser {
           "Category not found. Check the URL.",
           "warning"
         );
+        job.finish("failed", "Category not found");
         return false;
       }
+      job.title = category.name;
 
-      for (let page = 1; page <= this.MAX_PAGES; page++) {
-        try {
-          const { data, logMessage } = await this.scrapeWbPageWithQueue(
-            page,
-            category,
-            userId
-          );
-          await this.logService.updateLogMessage(userId, logMessage);
+      const completed = await this.collectPages(job, (page, dest) =>
+        this.scrapeWbPageWithQueue(page, category, userId, {
+          ...job.options,
+          dest,
+        })
+      );
+      if (!completed) return this.interruptJob(job);
 
-          const products = await this.processProducts(data);
-          if (!products.length) {
-            await this.logService.log(
-              `Page ${page}: no products found, stopping parsing.`
-            );
-            break;
-          }
+      return await this.sendJobReport(
+        job,
+        `${category.name}_analysis_${Date.now()}`,
+        "❌ Не найдено товаров в данной категории с указанными фильтрами."
+      );
+    } catch (error) {
+      await this.logService.log(`Parsing error: ${error.message}`, "error");
+      return this.interruptJob(job, error.message);
+    } finally {
+      await this.completeJob(job);
+      await this.logService.log(
+        `Total parsing time: ${job.elapsedSeconds.toFixed(2)} seconds`
+      );
+    }
+  }
 
-          let evirmaResponse;
-          try {
-            evirmaResponse = await this.evirmaClient.queryEvirmaApi(
-              products,
-              userId
-            );
-            if (!evirmaResponse) break;
-          } catch (error) {
-            await bot.sendMessage(userId, `❌ ${error.message}`, {
-              parse_mode: "Markdown",
-            });
-            break;
-          }
+  async createJob(url, userId, type, options = {}) {
+    if (!this.lockUser(userId)) {
+      await this.logService.log(
+        `Parsing already in progress for user ${userId}`
+      );
+      return null;
+    }
+
+    const job = new ParseJob(url, userId, type, {
+      maxPages: this.MAX_PAGES,
+      sort: null,
+      regions: [DEFAULT_REGION],
+      providers: [DEFAULT_PROVIDER],
+      metrics: [],
+      semanticCore: false,
+      formats: DEFAULT_OUTPUT_FORMATS,
+      ...options,
+    });
+    this.jobs.set(job.id, job);
+    job.start();
+    return job;
+  }
+
+  lockUser(userId) {
+    if (this.activeParsingUsers.has(userId)) return false;
+    this.activeParsingUsers.add(userId);
+    return true;
+  }
+
+  // Чекпоинт остается у прерванных задач, чтобы их можно было продолжить,
+  // и у задач общего отчета, пока он не отправлен: после перезапуска бота
+  // отчет собирается из этих чекпоинтов
+  async completeJob(job) {
+    if (job.status === "running") job.finish("failed", "Interrupted");
+    this.activeParsingUsers.delete(job.userId);
+    this.jobs.delete(job.id);
+    if (job.options.run) {
+      await this.jobStore.save(job);
+    } else if (job.status !== "interrupted") {
+      await this.jobStore.remove(job.id);
+    }
+  }
+
+  async interruptJob(job, reason = "") {
+    job.finish("interrupted", reason);
+    await this.jobStore.save(job);
+    await this.logService.log(
+      `Job ${job.id} interrupted after ${job.pagesDone} pages: ${reason}`,
+      "warning"
+    );
+
+    await bot.sendMessage(
+      job.userId,
+      `⚠️ Парсинг прерван${reason ? `: ${reason}` : ""}\nСсылка: ${
+        job.url
+      }\nСохранено страниц: ${job.pagesDone}, товаров: ${
+        job.results.length
+      }.\n\nНажмите «Продолжить», чтобы возобновить парсинг с последней успешной страницы.`,
+      {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "▶️ Продолжить", callback_data: `resume:${job.id}` }],
+          ],
+        },
+      }
+    );
+    return false;
+  }
+
+  // Обходит выдачу в каждом выбранном регионе и складывает результаты Evirma
+  // в job.results. Ошибка в любом регионе останавливает весь парсинг
+  // Возвращает false, если парсинг прерван; пройденные страницы и результаты
+  // сохраняются в чекпоинт задачи после каждой страницы
+  async collectPages(job, scrapePage) {
+    const { regions } = job.options;
+    while (job.progress.regionIndex < regions.length) {
+      const region = regions[job.progress.regionIndex];
+      const completed = await this.collectRegionPages(job, region, scrapePage);
+      if (!completed) return false;
+
+      job.progress = { regionIndex: job.progress.regionIndex + 1, page: 0 };
+      await this.jobStore.save(job);
+    }
+    return true;
+  }
+
+  async collectRegionPages(job, region, scrapePage) {
+    const { userId } = job;
+    const dest = WB_DESTINATIONS[region];
+    const prefix = job.options.regions.length > 1 ? `[${region}] ` : "";
 
-          const pageResults = await this.evirmaClient.parseEvirmaResponse(
-            evirmaResponse
+    for (
+      let page = job.progress.page + 1;
+      page <= job.options.maxPages;
+      page++
+    ) {
+      try {
+        const { data, logMessage } = await scrapePage(page, dest);
+        await this.logService.updateLogMessage(userId, prefix + logMessage);
+
+        const products = await this.processProducts(data);
+        if (!products.length) {
+          await this.logService.log(
+            `${prefix}Page ${page}: no products found, stopping parsing.`
+          );
+          return true;
+        }
+
+        const names = [...new Set(products.map((product) => product.name))];
+
+        let pageResults;
+        try {
+          pageResults = await this.frequencyService.lookupRows(
+            names,
+            job.options.providers,
+            userId,
+            job.cacheStats,
+            job.options.metrics
           );
-          this.results.push(...pageResults);
         } catch (error) {
           await bot.sendMessage(userId, `❌ ${error.message}`, {
             parse_mode: "Markdown",
           });
-          break;
+          return false;
         }
-      }
 
-      if (!this.results || !this.results.length) {
-        return await bot.sendMessage(
-          userId,
-          `📊 Найдены товары, но у всех частота поиска равна 0.\nВозможно, эти товары редко ищут или они новые в каталоге.`,
-          { parse_mode: "Markdown" }
+        job.results.push(
+          ...this.mergeProductInfo(pageResults, products).map((row) => ({
+            ...row,
+            Регион: region,
+            // Служебные поля для склейки дублей, в отчет не попадают
+            _page: `${region}:${page}`,
+            _source: job.url,
+          }))
         );
+
+        job.progress.page = page;
+        job.pagesDone++;
+        await this.jobStore.save(job);
+      } catch (error) {
+        await bot.sendMessage(userId, `❌ ${error.message}`, {
+          parse_mode: "Markdown",
+        });
+        return false;
       }
+    }
 
-      if (this.results.length > 0) {
-        const filename = `${category.name}_analysis_${Date.now()}`;
-        const filePath = await this.fileService.saveToExcel(
-          this.results,
-          filename
-        );
-        if (filePath) {
-          await this.fileService.sendExcelToUser(filePath, filename, userId);
-        }
-      } else {
+    return true;
+  }
+
+  // Склеивает строки с одинаковым названием (без учета регистра) со всех
+  // страниц и ссылок; метаданные берутся из первого вхождения
+  mergeResults(rows) {
+    const merged = new Map();
+    for (const row of rows) {
+      const { _page, _source, ...fields } = row;
+      const key = fields["Название"].toLowerCase();
+      if (!merged.has(key)) {
+        merged.set(key, {
+          row: fields,
+          pages: new Set(),
+          sources: new Set(),
+          regions: new Set(),
+        });
+      }
+      const entry = merged.get(key);
+      entry.pages.add(`${_source} ${_page}`);
+      entry.sources.add(_source);
+      if (fields["Регион"]) entry.regions.add(fields["Регион"]);
+    }
+
+    return [...merged.values()].map(({ row, pages, sources, regions }) => ({
+      ...row,
+      Регион: [...regions].join(", "),
+      Страниц: pages.size,
+      Ссылок: sources.size,
+      Источники: [...sources].join("\n"),
+    }));
+  }
+
+  // Сводка по регионам: в выдаче каких регионов встретился каждый товар
+  buildRegionSheet(results, regions) {
+    const rowsByName = new Map();
+    for (const row of results) {
+      if (!rowsByName.has(row["Название"])) {
+        rowsByName.set(row["Название"], {
+          Название: row["Название"],
+          "Частота товара": row["Частота товара"],
+          ...Object.fromEntries(regions.map((region) => [region, "нет"])),
+        });
+      }
+      rowsByName.get(row["Название"])[row["Регион"]] = "да";
+    }
+    return [...rowsByName.values()];
+  }
+
+  // Итоги для листа "Сводка": неудачные запросы частот (пустые значения)
+  // в сумму и медиану не попадают
+  buildTotals(rows) {
+    const frequencies = rows
+      .map((row) => row["Частота товара"])
+      .filter((value) => typeof value === "number")
+      .sort((a, b) => a - b);
+    const middle = Math.floor(frequencies.length / 2);
+    let median = frequencies[middle] || 0;
+    if (frequencies.length && frequencies.length % 2 === 0) {
+      median = (frequencies[middle - 1] + frequencies[middle]) / 2;
+    }
+
+    return [
+      { Параметр: "Всего товаров", Значение: rows.length },
+      {
+        Параметр: "Суммарная частота",
+        Значение: frequencies.reduce((sum, value) => sum + value, 0),
+      },
+      { Параметр: "Медианная частота", Значение: median },
+    ];
+  }
+
+  // Топы по частоте и по частоте на один товар в выдаче. Второй показывает
+  // запросы с высоким спросом при небольшой конкуренции
+  buildTopSheets(rows) {
+    const perProduct = (row) =>
+      row["Количество товара"] > 0
+        ? Math.round((row["Частота товара"] / row["Количество товара"]) * 100) /
+          100
+        : null;
+    const toTopRow = (row, i) => ({
+      Место: i + 1,
+      Название: row["Название"],
+      Артикул: row["Артикул"],
+      Бренд: row["Бренд"],
+      "Частота товара": row["Частота товара"],
+      "Количество товара": row["Количество товара"],
+      "Частота на товар": perProduct(row),
+    });
+    const withFrequency = rows.filter((row) => row["Частота товара"] > 0);
+
+    return [
+      {
+        name: `Топ-${TOP_SHEET_SIZE} по частоте`,
+        rows: [...withFrequency]
+          .sort((a, b) => b["Частота товара"] - a["Частота товара"])
+          .slice(0, TOP_SHEET_SIZE)
+          .map(toTopRow),
+      },
+      {
+        name: `Топ-${TOP_SHEET_SIZE} частота на товар`,
+        rows: withFrequency
+          .filter((row) => perProduct(row) !== null)
+          .sort((a, b) => perProduct(b) - perProduct(a))
+          .slice(0, TOP_SHEET_SIZE)
+          .map(toTopRow),
+      },
+    ].filter((sheet) => sheet.rows.length);
+  }
+
+  // Лист "Семантическое ядро"; ошибка частот не мешает отправить основной отчет
+  async buildSemanticCoreSheet(rows, job) {
+    try {
+      return {
+        name: "Семантическое ядро",
+        rows: await this.semanticCoreBuilder.build(
+          rows,
+          job.options.providers,
+          job.userId,
+          job.cacheStats
+        ),
+      };
+    } catch (error) {
+      await this.logService.log(
+        `Semantic core failed for job ${job.id}: ${error.message}`,
+        "error"
+      );
+      await bot.sendMessage(
+        job.userId,
+        `⚠️ Не удалось собрать семантическое ядро: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // Сравнивает результаты с прошлым снимком этой ссылки и сохраняет новый
+  async recordHistory(job) {
+    if (!job.results.length) return;
+    try {
+      const previous = await this.historyStore.getLatest(job.url);
+      if (previous) addGrowthColumns(job.results, previous);
+      await this.historyStore.addSnapshot(job.url, {
+        userId: job.userId,
+        label: job.title || job.url,
+        frequencies: collectFrequencies(job.results),
+      });
+    } catch (error) {
+      await this.logService.log(
+        `Failed to update frequency history for ${job.url}: ${error.message}`,
+        "warning"
+      );
+    }
+  }
+
+  async sendJobReport(job, filename, notFoundMessage) {
+    const { userId, results } = job;
+    await this.recordHistory(job);
+
+    // В режиме общего файла отчет собирает BotHandlers после всех ссылок
+    if (job.options.deliver === false) {
+      job.finish("done");
+      return true;
+    }
+
+    if (!results.length) {
+      job.finish("done");
+      await bot.sendMessage(
+        userId,
+        `📊 На страницах не найдено ни одного товара.`,
+        { parse_mode: "Markdown" }
+      );
+      return true;
+    }
+
+    const { regions } = job.options;
+    const merged = this.mergeResults(results);
+    const sheets = this.buildTopSheets(merged);
+    if (regions.length > 1) {
+      sheets.push({
+        name: "Регионы",
+        rows: this.buildRegionSheet(results, regions),
+      });
+    }
+
+    if (job.options.semanticCore) {
+      const sheet = await this.buildSemanticCoreSheet(merged, job);
+      if (sheet) sheets.push(sheet);
+    }
+
+    const { formats = DEFAULT_OUTPUT_FORMATS } = job.options;
+    const files = await this.fileService.saveReport(merged, filename, formats, {
+      summary: [
+        ...job.getReportParams(this.frequencyService),
+        ...this.buildTotals(merged),
+      ],
+      sheets,
+    });
+    if (files) {
+      for (const filePath of files) {
+        await this.fileService.sendExcelToUser(filePath, filename, userId);
+      }
+      if (formats.includes("summary")) {
         await bot.sendMessage(
           userId,
-          "❌ Не найдено товаров в данной категории с указанными фильтрами.",
+          formatReportSummary(merged, job.title || job.url),
           { parse_mode: "Markdown" }
         );
       }
-
-      return true;
-    } catch (error) {
-      await this.logService.log(`Parsing error: ${error.message}`, "error");
-      return false;
-    } finally {
-      this.activeParsingUsers.delete(userId);
-      const elapsedTime = (Date.now() - startTime) / 1000;
-      await this.logService.log(
-        `Total parsing time: ${elapsedTime.toFixed(2)} seconds`
+      await bot.sendMessage(
+        userId,
+        `${this.frequencyService.formatTally(
+          merged,
+          job.options.providers
+        )}\n${formatCacheStats(job.cacheStats)}`
       );
+    } else {
+      await bot.sendMessage(userId, notFoundMessage, {
+        parse_mode: "Markdown",
+      });
     }
+
+    job.finish("done");
+    return true;
   }
 }
 
 class BotHandlers {
-  constructor(bot, parser, logService, excelParser, fileService) {
+  constructor(
+    bot,
+    parser,
+    logService,
+    excelParser,
+    fileService,
+    outputFormatStore
+  ) {
     this.bot = bot;
     this.parser = parser;
     this.logService = logService;
     this.excelParser = excelParser;
     this.fileService = fileService;
+    this.outputFormatStore = outputFormatStore;
     this.waitingForUrl = {};
     this.waitingForExcel = {};
     this.waitingForLinksFile = {};
+    this.pendingRuns = {};
+    // Общие отчеты, которые собираются прямо сейчас (id запуска)
+    this.activeRuns = new Set();
     // this.userLinks = {};
   }
 
@@ -1342,6 +4416,18 @@ class BotHandlers {
       this.manualParse(msg);
     });
 
+    this.bot.onText(/\/jobs/, (msg) => {
+      this.listUnfinishedJobs(msg);
+    });
+
+    this.bot.onText(/\/flushcache/, (msg) => {
+      this.flushFrequencyCache(msg);
+    });
+
+    this.bot.onText(/\/trends/, (msg) => {
+      this.showTrends(msg);
+    });
+
     this.bot.on("message", async (msg) => {
       if (!msg.text) return;
 
@@ -1352,13 +4438,7 @@ class BotHandlers {
         return this.handleCancel(msg);
       }
 
-      if (
-        this.excelParser.userStates[userId] &&
-        (text === "Добавить частоту товаров" ||
-          text === "Обновить частоту товаров" ||
-          text === "Добавить количество товаров" ||
-          text === "Обновить количество товаров")
-      ) {
+      if (this.excelParser.userStates[userId] && EXCEL_ACTIONS[text]) {
         await this.excelParser.processUserChoice(userId, text);
         return;
       }
@@ -1379,9 +4459,9 @@ class BotHandlers {
       await this.handleDocument(msg);
     });
 
-    // this.bot.on("callback_query", async (query) => {
-    //   await this.handleCallbackQuery(query);
-    // });
+    this.bot.on("callback_query", async (query) => {
+      await this.handleCallbackQuery(query);
+    });
   }
 
   getMainMenu(userId) {
@@ -1421,7 +4501,7 @@ class BotHandlers {
     }
 
     const welcomeText =
-      "🛍️Wilberries Parser Frequency Bot\nЭтот бот анализирует категории Wildberries и предоставляет статистику частоты поиска товаров.\n\nДоступные команды:\n/parse - Запросить анализ категории\n/parsing_from_excel - парсинг продуктов по эксель\n/list - Показать список админов (только для админов)";
+      "🛍️Wilberries Parser Frequency Bot\nЭтот бот анализирует категории Wildberries и предоставляет статистику частоты поиска товаров.\n\nДоступные команды:\n/parse - Запросить анализ категории\n/parsing_from_excel - парсинг продуктов по эксель\n/jobs - Незавершенные задачи парсинга\n/flushcache - Очистить кэш частот\n/trends - Рост и падение частот с прошлого запуска\n/list - Показать список админов (только для админов)";
 
     await this.bot.sendMessage(userId, welcomeText, {
       parse_mode: "Markdown",
@@ -1477,7 +4557,7 @@ class BotHandlers {
     this.waitingForUrl[userId] = true;
     await this.bot.sendMessage(
       userId,
-      "🔗 Пожалуйста, отправьте одну или несколько ссылок Wildberries через пробелы:\n\nПример:\nhttps://www.wildberries.ru/catalog/dom-i-dacha/vannaya/aksessuary https://www.wildberries.ru/catalog/elektronika/avtoelektronika https://www.wildberries.ru/catalog/0/search.aspx?search=геймерское+кресло",
+      "🔗 Пожалуйста, отправьте одну или несколько ссылок Wildberries через пробелы:\n\nПример:\nhttps://www.wildberries.ru/catalog/dom-i-dacha/vannaya/aksessuary https://www.wildberries.ru/catalog/elektronika/avtoelektronika https://www.wildberries.ru/catalog/0/search.aspx?search=геймерское+кресло https://www.wildberries.ru/catalog/12345678/detail.aspx https://www.wildberries.ru/brands/apple https://www.wildberries.ru/seller/12345",
       {
         parse_mode: "Markdown",
         reply_markup: {
@@ -1498,7 +4578,7 @@ class BotHandlers {
     this.waitingForLinksFile[userId] = true;
     await this.bot.sendMessage(
       userId,
-      "📁 Пожалуйста, отправьте Excel файл со ссылками.\n\n📋 Формат файла:\n• Ссылки должны быть в первом столбце (колонка A)\n• Первая строка - заголовок (будет пропущена)\n• Ссылки должны начинаться с https://www.wildberries.ru/catalog/\n• Дубликаты будут автоматически удалены",
+      "📁 Пожалуйста, отправьте файл со ссылками (.xlsx, .xls, .ods, .csv или .txt).\n\n📋 Формат файла:\n• Ссылки ищутся во всех столбцах и на всех листах, в том числе в гиперссылках; в .txt - просто по ссылке в строке\n• Заголовки и ячейки без ссылок пропускаются, отдельная строка заголовка не нужна\n• Ссылки на каталог, поиск, карточку товара, бренд или продавца Wildberries\n• Повторы ссылок будут автоматически удалены",
       {
         parse_mode: "Markdown",
         reply_markup: {
@@ -1522,66 +4602,35 @@ class BotHandlers {
       }
 
       // Читаем ссылки из Excel файла
-      const urls = await this.fileService.readLinksFromExcel(filePath, userId);
-
-      if (urls.length === 0) {
+      const {
+        links: urls,
+        rejected,
+        duplicates,
+      } = await this.fileService.readLinksFromExcel(filePath, userId);
+      if (duplicates) {
         await this.bot.sendMessage(
           userId,
-          '❌ Не найдено валидных ссылок в файле. Ссылки должны быть в первом столбце и начинаться с "https://www.wildberries.ru/catalog/"',
-          { parse_mode: "Markdown" }
+          `📋 Найдено ${urls.length + duplicates} ссылок, уникальных: ${
+            urls.length
+          }`
         );
-        return this.showParsingMenu(userId);
+      }
+      if (rejected.length) {
+        await this.sendRejectedLinks(userId, rejected);
       }
 
-      delete this.waitingForLinksFile[userId];
-
-      // Начинаем парсинг всех ссылок
-      await this.bot.sendMessage(
-        userId,
-        `🔄 Начинаю парсинг ${urls.length} ссылок из файла...`,
-        { parse_mode: "Markdown" }
-      );
-
-      for (let i = 0; i < urls.length; i++) {
-        const link = urls[i];
-        await this.bot.sendMessage(
-          userId,
-          `📌 Парсинг ссылки ${i + 1}/${urls.length}:\n${link}`,
-          { parse_mode: "Markdown" }
-        );
-
-        const success = await this.parser.parseUrl(link, userId);
-        await this.logService.clearLogMessages(userId);
-
+      if (urls.length === 0) {
         await this.bot.sendMessage(
           userId,
-          success
-            ? `✅ Ссылка ${i + 1} успешно обработана`
-            : `❌ Ошибка при обработке ссылки ${i + 1}`,
+          '❌ Не найдено валидных ссылок в файле. Ссылки могут быть в любом столбце и на любом листе, в том числе гиперссылками, и должны вести на "https://www.wildberries.ru/catalog/", "https://www.wildberries.ru/brands/" или "https://www.wildberries.ru/seller/"',
           { parse_mode: "Markdown" }
         );
-
-        // Пауза между запросами (кроме последней ссылки)
-        if (i < urls.length - 1) {
-          await this.bot.sendMessage(
-            userId,
-            "⏳ Ожидание 30 секунд перед следующей ссылкой...",
-            { parse_mode: "Markdown" }
-          );
-          await new Promise((resolve) => setTimeout(resolve, 30000));
-        }
+        return this.showParsingMenu(userId);
       }
 
-      await this.bot.sendMessage(
-        userId,
-        `🎉 Парсинг завершен! Обработано ${urls.length} ссылок.`,
-        { parse_mode: "Markdown" }
-      );
+      delete this.waitingForLinksFile[userId];
 
-      // Возвращаемся в меню парсинга
-      // setTimeout(() => {
-      // }, 1000);
-      this.showParsingMenu(userId);
+      await this.requestRunSettings(userId, urls);
     } catch (error) {
       await this.logService.log(
         `Error handling links file: ${error.message}`,
@@ -1607,6 +4656,58 @@ class BotHandlers {
     }
   }
 
+  // Отчет о пропущенных ячейках: первые строки сообщением, полный список
+  // файлом, если ячеек много
+  async sendRejectedLinks(userId, rejected) {
+    // Предупреждение не должно прерывать обработку файла со ссылками
+    try {
+      const shorten = (value) => {
+        const text = String(value);
+        return text.length > REJECTED_LINK_VALUE_LENGTH
+          ? `${text.slice(0, REJECTED_LINK_VALUE_LENGTH)}…`
+          : text;
+      };
+      const header = `⚠️ Пропущено ячеек со ссылками: ${rejected.length}`;
+      const lines = [];
+      let length = header.length;
+      for (const row of rejected.slice(0, REJECTED_LINKS_PREVIEW)) {
+        const line = `• ${row["Ячейка"]}: ${shorten(row["Значение"])} - ${
+          row["Причина"]
+        }`;
+        // Оставляем место под строку "...и еще N"
+        if (length + line.length + 1 > MAX_MESSAGE_LENGTH - 100) break;
+        lines.push(line);
+        length += line.length + 1;
+      }
+      const hidden = rejected.length - lines.length;
+      const more = hidden ? `\n...и еще ${hidden}, полный список в файле` : "";
+      await this.bot.sendMessage(
+        userId,
+        `${header}\n${lines.join("\n")}${more}`
+      );
+
+      if (hidden) {
+        const filename = `rejected_links_${Date.now()}`;
+        const filePath = await this.fileService.saveToExcel(
+          rejected,
+          filename,
+          { sheetName: "Пропущенные ссылки" }
+        );
+        await this.fileService.sendExcelToUser(
+          filePath,
+          filename,
+          userId,
+          "⚠️ *Пропущенные ячейки файла со ссылками*"
+        );
+      }
+    } catch (error) {
+      await this.logService.log(
+        `Failed to send rejected links to user ${userId}: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
   async handleCancel(msg) {
     const userId = msg.from.id;
 
@@ -1635,6 +4736,11 @@ class BotHandlers {
       return this.showParsingMenu(userId, "❌ Загрузка файла отменена");
     }
 
+    if (this.pendingRuns[userId]) {
+      delete this.pendingRuns[userId];
+      return this.showParsingMenu(userId, "❌ Запуск отменен");
+    }
+
     if (this.excelParser.userStates[userId]) {
       await this.excelParser.cancelProcessing(userId);
       return this.showMainMenu(userId, "❌ Действие отменено");
@@ -1673,7 +4779,7 @@ class BotHandlers {
     this.waitingForExcel[userId] = true;
     await this.bot.sendMessage(
       userId,
-      "📊 Пожалуйста, отправьте Excel файл с колонкой 'Название'. Файл должен быть в формате .xlsx",
+      "📊 Пожалуйста, отправьте файл с названиями товаров: .xlsx, .xls, .ods, .csv или .txt (по названию в строке). Столбцы можно будет выбрать после загрузки.",
       {
         parse_mode: "Markdown",
         reply_markup: {
@@ -1694,26 +4800,39 @@ class BotHandlers {
       return;
 
     try {
-      if (!msg.document.file_name.endsWith(".xlsx")) {
-        throw new Error("Файл должен быть в формате .xlsx");
+      const extension = path.extname(msg.document.file_name).toLowerCase();
+      if (!SUPPORTED_FILE_FORMATS[extension]) {
+        throw new Error(
+          `Поддерживаются файлы ${Object.keys(SUPPORTED_FILE_FORMATS).join(
+            ", "
+          )}`
+        );
       }
 
       const fileId = msg.document.file_id;
       const tempDir = path.join(outputDir, "temp");
       await fs.mkdir(tempDir, { recursive: true });
-      const filePath = path.join(tempDir, `${userId}_${fileId}.xlsx`);
+      // Расширение сохраняем: по нему файл читается и возвращается в том же формате
+      const filePath = path.join(tempDir, `${userId}_${fileId}${extension}`);
 
       const file = await this.bot.getFile(fileId);
-      const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+      const fileUrl = `${TELEGRAM_API_URL}/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
       const response = await axios.get(fileUrl, {
         responseType: "arraybuffer",
       });
 
       await fs.writeFile(filePath, response.data);
 
-      // Обрабатываем файл в зависимости от типа ожидания
+      // Обрабатываем файл в зависимости от типа ожидания. Флаг ожидания
+      // Excel снимаем, иначе следующий файл со ссылками уйдет в разбор названий
       if (this.waitingForExcel[userId]) {
-        await this.excelParser.handleExcelFile(userId, fileId, filePath);
+        delete this.waitingForExcel[userId];
+        await this.excelParser.handleExcelFile(
+          userId,
+          fileId,
+          filePath,
+          msg.document.file_name
+        );
       } else if (this.waitingForLinksFile[userId]) {
         await this.handleLinksFile(userId, filePath);
       }
@@ -1756,12 +4875,12 @@ class BotHandlers {
       // Разбиваем текст на ссылки
       const allUrls = text
         .split(/\s+/)
-        .filter((url) => url.startsWith("https://www.wildberries.ru/catalog/"));
+        .filter((url) => isWbUrl(url));
 
       if (allUrls.length === 0) {
         await this.bot.sendMessage(
           userId,
-          '❌ Не найдено валидных ссылок. Ссылки должны начинаться с "https://www.wildberries.ru/catalog/"',
+          '❌ Не найдено валидных ссылок. Ссылки должны начинаться с "https://www.wildberries.ru/catalog/", "https://www.wildberries.ru/brands/" или "https://www.wildberries.ru/seller/"',
           { parse_mode: "Markdown" }
         );
         return this.showParsingMenu(userId);
@@ -1780,22 +4899,519 @@ class BotHandlers {
 
       delete this.waitingForUrl[userId];
 
-      // Начинаем парсинг всех ссылок
+      await this.requestRunSettings(userId, urls);
+    }
+  }
+
+  // Перед запуском показываем параметры парсинга, которые можно поменять кнопками
+  async requestRunSettings(userId, urls) {
+    this.pendingRuns[userId] = {
+      urls,
+      options: {
+        maxPages: this.parser.MAX_PAGES,
+        sort: null,
+        regions: [DEFAULT_REGION],
+        providers: [DEFAULT_PROVIDER],
+        metrics: [],
+        semanticCore: false,
+        formats:
+          (await this.outputFormatStore.get(userId)) || DEFAULT_OUTPUT_FORMATS,
+        consolidate: false,
+      },
+    };
+
+    await this.bot.sendMessage(userId, this.getRunSettingsText(userId), {
+      parse_mode: "Markdown",
+      reply_markup: this.getRunSettingsKeyboard(userId),
+    });
+  }
+
+  getRunSettingsText(userId) {
+    const { urls, options } = this.pendingRuns[userId];
+    const sortLabel = options.sort
+      ? WB_SORT_OPTIONS[options.sort]
+      : "Как в ссылке";
+
+    return `⚙️ *Параметры парсинга* (ссылок: ${urls.length})\n• Глубина: ${
+      options.maxPages
+    } страниц\n• Сортировка: ${sortLabel}\n• Регионы: ${options.regions.join(
+      ", "
+    )}\n• Источник частот: ${this.parser.frequencyService
+      .getLabels(options.providers)
+      .join(" + ")}\n• Доп. столбцы: ${
+      this.parser.frequencyService.getMetricLabels(options.metrics).join(", ") ||
+      "нет"
+    }\n• Семантическое ядро: ${
+      options.semanticCore ? "да" : "нет"
+    }\n• Форматы: ${options.formats
+      .map((format) => OUTPUT_FORMATS[format])
+      .join(", ")}\n• Отчет: ${
+      options.consolidate ? "один файл на все ссылки" : "файл на каждую ссылку"
+    }\n\nИзмените параметры или нажмите «Начать парсинг».`;
+  }
+
+  getRunSettingsKeyboard(userId) {
+    const { urls, options } = this.pendingRuns[userId];
+    const mark = (selected, label) => (selected ? `✅ ${label}` : label);
+
+    const sortButtons = [
+      { text: mark(!options.sort, "Как в ссылке"), callback_data: "sort:" },
+      ...Object.entries(WB_SORT_OPTIONS).map(([value, label]) => ({
+        text: mark(options.sort === value, label),
+        callback_data: `sort:${value}`,
+      })),
+    ];
+    const sortRows = [];
+    for (let i = 0; i < sortButtons.length; i += 2) {
+      sortRows.push(sortButtons.slice(i, i + 2));
+    }
+
+    // В callback_data номер региона: длинное название может не влезть в 64 байта
+    const regionButtons = Object.keys(WB_DESTINATIONS).map((region, i) => ({
+      text: mark(options.regions.includes(region), `📍 ${region}`),
+      callback_data: `region:${i}`,
+    }));
+    const regionRows = [];
+    for (let i = 0; i < regionButtons.length; i += 2) {
+      regionRows.push(regionButtons.slice(i, i + 2));
+    }
+
+    return {
+      inline_keyboard: [
+        PAGE_DEPTH_OPTIONS.map((pages) => ({
+          text: mark(options.maxPages === pages, `${pages} стр.`),
+          callback_data: `pages:${pages}`,
+        })),
+        ...sortRows,
+        ...regionRows,
+        [...this.parser.frequencyService.providers.values()].map(
+          (provider) => ({
+            text: mark(
+              options.providers.includes(provider.name),
+              `📚 ${provider.label}`
+            ),
+            callback_data: `provider:${provider.name}`,
+          })
+        ),
+        ...getMetricKeyboardRows(
+          this.parser.frequencyService.getMetricOptions(),
+          options.metrics,
+          "metric"
+        ),
+        [
+          {
+            text: mark(options.semanticCore, "🧠 Семантическое ядро"),
+            callback_data: "semantic:",
+          },
+        ],
+        Object.entries(OUTPUT_FORMATS).map(([format, label]) => ({
+          text: mark(options.formats.includes(format), label),
+          callback_data: `format:${format}`,
+        })),
+        [
+          {
+            text: "💾 Запомнить форматы",
+            callback_data: "formats:save",
+          },
+        ],
+        // Общий файл имеет смысл только для нескольких ссылок
+        ...(urls.length > 1
+          ? [
+              [
+                {
+                  text: mark(options.consolidate, "📎 Один файл на все ссылки"),
+                  callback_data: "consolidate:",
+                },
+              ],
+            ]
+          : []),
+        [{ text: "▶️ Начать парсинг", callback_data: "run:start" }],
+        [{ text: "Отмена", callback_data: "run:cancel" }],
+      ],
+    };
+  }
+
+  async handleCallbackQuery(query) {
+    const userId = query.from.id;
+    const [action, value] = (query.data || "").split(":");
+    await this.bot.answerCallbackQuery(query.id);
+
+    if (!adminIds.includes(userId)) {
+      return this.handleUnauthorized(query);
+    }
+
+    if (action === "resume") {
+      return this.resumeParsing(userId, value);
+    }
+
+    if (action === "xprovider") {
+      if (!this.parser.frequencyService.providers.has(value)) return;
+      return this.excelParser.toggleProvider(
+        userId,
+        value,
+        query.message.message_id
+      );
+    }
+
+    if (["xmap", "xsheet", "xname", "xfreq", "xqty"].includes(action)) {
+      return this.excelParser.handleMappingAction(
+        userId,
+        action,
+        value,
+        query.message.message_id
+      );
+    }
+
+    if (action === "xmetric") {
+      if (!this.parser.frequencyService.getMetricOptions()[value]) return;
+      return this.excelParser.toggleMetric(
+        userId,
+        value,
+        query.message.message_id
+      );
+    }
+
+    const pendingRun = this.pendingRuns[userId];
+    if (!pendingRun) {
+      await this.bot.sendMessage(
+        userId,
+        "❌ Сессия устарела. Пожалуйста, отправьте ссылки заново.",
+        { parse_mode: "Markdown" }
+      );
+      return;
+    }
+
+    const messageOptions = {
+      chat_id: userId,
+      message_id: query.message.message_id,
+      parse_mode: "Markdown",
+    };
+
+    if (action === "pages") {
+      pendingRun.options.maxPages = parseInt(value);
+    } else if (action === "sort") {
+      pendingRun.options.sort = value || null;
+    } else if (action === "provider") {
+      if (!this.parser.frequencyService.providers.has(value)) return;
+      pendingRun.options.providers = toggleProviderSelection(
+        pendingRun.options.providers,
+        value
+      );
+    } else if (action === "metric") {
+      if (!this.parser.frequencyService.getMetricOptions()[value]) return;
+      pendingRun.options.metrics = toggleMetricSelection(
+        pendingRun.options.metrics,
+        value
+      );
+    } else if (action === "semantic") {
+      pendingRun.options.semanticCore = !pendingRun.options.semanticCore;
+    } else if (action === "format") {
+      // Как и с регионами, хотя бы один формат должен остаться
+      const { formats } = pendingRun.options;
+      if (!OUTPUT_FORMATS[value]) {
+        return;
+      } else if (!formats.includes(value)) {
+        pendingRun.options.formats = [...formats, value];
+      } else if (formats.length > 1) {
+        pendingRun.options.formats = formats.filter((f) => f !== value);
+      }
+    } else if (action === "formats" && value === "save") {
+      await this.outputFormatStore.set(userId, pendingRun.options.formats);
+      await this.bot.sendMessage(
+        userId,
+        `💾 Форматы по умолчанию: ${pendingRun.options.formats
+          .map((format) => OUTPUT_FORMATS[format])
+          .join(", ")}`
+      );
+      return;
+    } else if (action === "consolidate") {
+      pendingRun.options.consolidate = !pendingRun.options.consolidate;
+    } else if (action === "region") {
+      // Регионы выбираются переключателями, но хотя бы один должен остаться
+      const { regions } = pendingRun.options;
+      const region = Object.keys(WB_DESTINATIONS)[Number(value)];
+      if (!region) {
+        return;
+      } else if (!regions.includes(region)) {
+        regions.push(region);
+      } else if (regions.length > 1) {
+        regions.splice(regions.indexOf(region), 1);
+      }
+    } else if (action === "run" && value === "cancel") {
+      delete this.pendingRuns[userId];
+      await this.bot.editMessageText("❌ Запуск отменен", messageOptions);
+      return this.showParsingMenu(userId);
+    } else if (action === "run" && value === "start") {
+      const text = this.getRunSettingsText(userId);
+      delete this.pendingRuns[userId];
+      await this.bot.editMessageText(text, messageOptions);
+      return this.parseLinks(userId, pendingRun.urls, pendingRun.options);
+    }
+
+    try {
+      await this.bot.editMessageText(this.getRunSettingsText(userId), {
+        ...messageOptions,
+        reply_markup: this.getRunSettingsKeyboard(userId),
+      });
+    } catch (error) {
+      // Telegram возвращает ошибку, если текст и кнопки не изменились
+      await this.logService.log(
+        `Failed to update run settings for user ${userId}: ${error.message}`,
+        "warning"
+      );
+    }
+  }
+
+  async flushFrequencyCache(msg) {
+    const userId = msg.from.id;
+    if (!adminIds.includes(userId)) {
+      return this.handleUnauthorized(msg);
+    }
+
+    const count = await this.parser.frequencyService.flushCaches();
+    await this.logService.log(
+      `Frequency cache flushed by user ${userId}: ${count} entries`
+    );
+    await this.bot.sendMessage(
+      userId,
+      `🗑 Кэш частот очищен. Удалено записей: ${count}`,
+      { reply_markup: this.getMainMenu(userId) }
+    );
+  }
+
+  // Лидеры роста и падения частоты между двумя последними снимками
+  // последней повторно проанализированной категории или файла
+  async showTrends(msg) {
+    const userId = msg.from.id;
+    if (!adminIds.includes(userId)) {
+      return this.handleUnauthorized(msg);
+    }
+
+    const TOP_COUNT = 10;
+    let history = null;
+    try {
+      history = await this.parser.historyStore.getLatestComparable(userId);
+    } catch (error) {
+      await this.logService.log(
+        `Failed to read frequency history: ${error.message}`,
+        "error"
+      );
+      await this.bot.sendMessage(
+        userId,
+        `❌ Не удалось прочитать историю частот: ${error.message}`,
+        { reply_markup: this.getMainMenu(userId) }
+      );
+      return;
+    }
+    if (!history) {
+      await this.bot.sendMessage(
+        userId,
+        "📈 Пока не с чем сравнивать: проанализируйте категорию или файл повторно.",
+        { reply_markup: this.getMainMenu(userId) }
+      );
+      return;
+    }
+
+    const [before, after] = history.snapshots.slice(-2);
+    const changes = Object.entries(after.frequencies)
+      .filter(([name]) => before.frequencies[name] !== undefined)
+      .map(([name, frequency]) => ({
+        name,
+        frequency,
+        change: frequency - before.frequencies[name],
+      }))
+      .filter(({ change }) => change !== 0);
+
+    const formatList = (items) =>
+      items.length
+        ? items
+            .map(
+              ({ name, frequency, change }) =>
+                `• ${name}: ${frequency} (${change > 0 ? "+" : ""}${change})`
+            )
+            .join("\n")
+        : "нет";
+    const risers = changes
+      .filter(({ change }) => change > 0)
+      .sort((a, b) => b.change - a.change)
+      .slice(0, TOP_COUNT);
+    const fallers = changes
+      .filter(({ change }) => change < 0)
+      .sort((a, b) => a.change - b.change)
+      .slice(0, TOP_COUNT);
+
+    // Без Markdown: в названиях товаров встречаются символы разметки
+    await this.bot.sendMessage(
+      userId,
+      `📈 ${history.label}\nСравнение ${new Date(
+        before.createdAt
+      ).toLocaleString("ru-RU")} → ${new Date(after.createdAt).toLocaleString(
+        "ru-RU"
+      )}\n\n🔼 Рост:\n${formatList(risers)}\n\n🔽 Падение:\n${formatList(
+        fallers
+      )}`,
+      { reply_markup: this.getMainMenu(userId) }
+    );
+  }
+
+  async listUnfinishedJobs(msg) {
+    const userId = msg.from.id;
+    if (!adminIds.includes(userId)) {
+      return this.handleUnauthorized(msg);
+    }
+
+    const jobs = await this.parser.jobStore.listUnfinished(userId);
+    // Задачи общего отчета показываем одной строкой на запуск
+    const runs = new Map();
+    const resumable = [];
+    for (const job of jobs) {
+      const { run } = job.options;
+      if (this.parser.jobs.has(job.id) || this.activeRuns.has(run?.id)) {
+        continue;
+      }
+      if (!run) {
+        resumable.push(job);
+      } else if (!runs.has(run.id)) {
+        runs.set(run.id, { job, done: 0 });
+      }
+      if (run && ["done", "failed"].includes(job.status)) {
+        runs.get(run.id).done++;
+      }
+    }
+    if (!resumable.length && !runs.size) {
+      await this.bot.sendMessage(userId, "✅ Незавершенных задач нет.", {
+        reply_markup: this.getMainMenu(userId),
+      });
+      return;
+    }
+
+    for (const { job, done } of runs.values()) {
+      await this.bot.sendMessage(
+        userId,
+        `⏸ Общий отчет по ${job.options.run.urls.length} ссылкам\nОбработано ссылок: ${done}`,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "▶️ Продолжить", callback_data: `resume:${job.id}` }],
+            ],
+          },
+        }
+      );
+    }
+
+    for (const job of resumable) {
+      await this.bot.sendMessage(
+        userId,
+        `⏸ ${job.url}\nСохранено страниц: ${job.pagesDone}, товаров: ${job.results.length}`,
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: "▶️ Продолжить", callback_data: `resume:${job.id}` }],
+            ],
+          },
+        }
+      );
+    }
+  }
+
+  async resumeParsing(userId, jobId) {
+    if (this.parser.activeParsingUsers.has(userId)) {
+      await this.bot.sendMessage(
+        userId,
+        "⏳ Парсинг уже выполняется. Пожалуйста, дождитесь завершения.",
+        { parse_mode: "Markdown" }
+      );
+      return;
+    }
+
+    const saved = await this.parser.jobStore.load(jobId);
+    const run = saved?.userId === userId ? saved.options.run : null;
+    if (run) {
+      if (this.activeRuns.has(run.id)) {
+        await this.bot.sendMessage(
+          userId,
+          "⏳ Ссылка войдет в общий отчет, который еще собирается. Пожалуйста, дождитесь завершения."
+        );
+        return;
+      }
+      return this.resumeRun(userId, saved.options);
+    }
+
+    await this.bot.sendMessage(userId, "🔄 Продолжаю парсинг...");
+    const success = await this.parser.resumeJob(jobId, userId);
+    await this.logService.clearLogMessages(userId);
+
+    if (success === null) {
+      await this.bot.sendMessage(
+        userId,
+        "❌ Задача не найдена или уже завершена.",
+        { reply_markup: this.getMainMenu(userId) }
+      );
+    } else if (success) {
+      await this.bot.sendMessage(userId, "✅ Парсинг успешно завершен", {
+        reply_markup: this.getParsingMenu(),
+      });
+    }
+  }
+
+  async parseLinks(userId, urls, options) {
+    if (this.parser.activeParsingUsers.has(userId)) {
       await this.bot.sendMessage(
         userId,
-        `🔄 Начинаю парсинг ${urls.length} ссылок...`,
+        "⏳ Парсинг уже выполняется. Пожалуйста, дождитесь завершения.",
         { parse_mode: "Markdown" }
       );
+      return;
+    }
+
+    // Начинаем парсинг всех ссылок
+    await this.bot.sendMessage(
+      userId,
+      `🔄 Начинаю парсинг ${urls.length} ссылок...`,
+      { parse_mode: "Markdown" }
+    );
+
+    // Список ссылок общего отчета хранится в чекпоинтах его задач, чтобы
+    // после перезапуска бота продолжить запуск целиком
+    const runOptions = options.consolidate
+      ? { ...options, run: { id: `${userId}_${Date.now()}`, urls } }
+      : options;
+    await this.processLinks(userId, urls, runOptions);
+  }
 
+  // saved - задачи общего отчета из чекпоинтов по ссылке: готовые берутся
+  // как есть, прерванные продолжаются с сохраненной страницы
+  async processLinks(userId, urls, options, saved = new Map()) {
+    if (options.run) this.activeRuns.add(options.run.id);
+    try {
+      const jobs = [];
       for (let i = 0; i < urls.length; i++) {
         const link = urls[i];
+        const previous = saved.get(link);
+        if (previous && ["done", "failed"].includes(previous.status)) {
+          jobs.push({ url: link, job: previous });
+          continue;
+        }
+
         await this.bot.sendMessage(
           userId,
           `📌 Парсинг ссылки ${i + 1}/${urls.length}:\n${link}`,
           { parse_mode: "Markdown" }
         );
 
-        const success = await this.parser.parseUrl(link, userId);
+        let success;
+        if (options.consolidate) {
+          let job = previous;
+          if (job) {
+            await this.parser.continueJob(job);
+          } else {
+            job = await this.parser.collectUrl(link, userId, options);
+          }
+          jobs.push({ url: link, job });
+          success = job?.status === "done";
+        } else {
+          success = await this.parser.parseUrl(link, userId, options);
+        }
         await this.logService.clearLogMessages(userId);
 
         await this.bot.sendMessage(
@@ -1817,17 +5433,163 @@ class BotHandlers {
         }
       }
 
+      if (options.consolidate) {
+        await this.sendConsolidatedReport(userId, jobs);
+        await this.releaseRunJobs(jobs);
+      }
+    } finally {
+      if (options.run) this.activeRuns.delete(options.run.id);
+    }
+
+    await this.bot.sendMessage(
+      userId,
+      `🎉 Парсинг завершен! Обработано ${urls.length} ссылок.`,
+      { parse_mode: "Markdown" }
+    );
+
+    // Возвращаемся в меню парсинга
+    setTimeout(() => {
+      this.showParsingMenu(userId);
+    }, 1000);
+  }
+
+  // Общий отчет отправлен: чекпоинты готовых ссылок больше не нужны, а
+  // прерванные ссылки продолжаются отдельно, со своим отчетом
+  async releaseRunJobs(jobs) {
+    for (const { job } of jobs) {
+      if (!job) continue;
+      delete job.options.run;
+      if (job.status === "interrupted") {
+        await this.parser.jobStore.save(job);
+      } else {
+        await this.parser.jobStore.remove(job.id);
+      }
+    }
+  }
+
+  // Продолжение общего отчета после перезапуска бота
+  async resumeRun(userId, options) {
+    const saved = new Map();
+    for (const job of await this.parser.jobStore.listUnfinished(userId)) {
+      if (job.options.run?.id === options.run.id) saved.set(job.url, job);
+    }
+    const { urls } = options.run;
+    const done = [...saved.values()].filter((job) =>
+      ["done", "failed"].includes(job.status)
+    ).length;
+    await this.bot.sendMessage(
+      userId,
+      `🔄 Продолжаю общий отчет: обработано ссылок ${done} из ${urls.length}`
+    );
+    await this.processLinks(userId, urls, options, saved);
+  }
+
+  // Один файл на весь запуск: лист "Сводка" и по листу на каждую ссылку
+  async sendConsolidatedReport(userId, jobs) {
+    const statusLabels = {
+      done: "Готово",
+      interrupted: "Прерван",
+      failed: "Ошибка",
+    };
+    const usedNames = new Set(
+      RESERVED_SHEET_NAMES.map((name) => name.toLowerCase())
+    );
+    const sheets = [];
+
+    const summary = jobs.map(({ url, job }) => {
+      const results = this.parser.mergeResults(job?.results || []);
+      if (results.length) {
+        sheets.push({
+          name: this.fileService.toSheetName(job.title, usedNames),
+          rows: results,
+        });
+      }
+      return {
+        Ссылка: url,
+        Название: job?.title || "",
+        Статус: job ? statusLabels[job.status] || job.status : "Не запущен",
+        "Количество товаров": results.length,
+        "Суммарная частота": results.reduce(
+          (sum, row) => sum + (row["Частота товара"] || 0),
+          0
+        ),
+      };
+    });
+
+    // Товары со всех ссылок с подсчетом, на скольких ссылках они встретились
+    const allResults = jobs.flatMap(({ job }) => job?.results || []);
+    const allMerged = this.parser.mergeResults(allResults);
+    // Топы по всем ссылкам идут перед листами отдельных ссылок
+    const topSheets = this.parser.buildTopSheets(allMerged).map((sheet) => ({
+      ...sheet,
+      name: this.fileService.toSheetName(sheet.name, usedNames),
+    }));
+    if (sheets.length > 1) {
+      topSheets.unshift({
+        name: this.fileService.toSheetName("Все ссылки", usedNames),
+        rows: allMerged,
+      });
+    }
+    sheets.unshift(...topSheets);
+
+    // Параметры запуска общие для всех ссылок
+    const firstJob = jobs.find(({ job }) => job)?.job;
+    if (firstJob?.options.semanticCore && allResults.length) {
+      const sheet = await this.parser.buildSemanticCoreSheet(
+        allMerged,
+        firstJob
+      );
+      if (sheet) {
+        sheets.push({
+          ...sheet,
+          name: this.fileService.toSheetName(sheet.name, usedNames),
+        });
+      }
+    }
+    const params = firstJob
+      ? [
+          ...firstJob
+            .getReportParams(this.parser.frequencyService)
+            .filter((param) => param["Параметр"] !== "Ссылка"),
+          ...this.parser.buildTotals(allMerged),
+        ]
+      : null;
+
+    const filename = `links_analysis_${Date.now()}`;
+    const formats = firstJob?.options.formats || DEFAULT_OUTPUT_FORMATS;
+    const files = await this.fileService.saveReport(
+      summary,
+      filename,
+      formats,
+      {
+        params,
+        sheetName: "Сводка",
+        sheets,
+      }
+    );
+    for (const filePath of files || []) {
+      await this.fileService.sendExcelToUser(filePath, filename, userId);
+    }
+    if (formats.includes("summary") && allResults.length) {
       await this.bot.sendMessage(
         userId,
-        `✅ Все ссылки обработаны (${urls.length})`,
+        formatReportSummary(allMerged, `все ссылки (${jobs.length})`),
         { parse_mode: "Markdown" }
       );
+    }
 
-      // Возвращаемся в меню парсинга
-      setTimeout(() => {
-        this.showParsingMenu(userId);
-      }, 1000);
+    const cacheStats = { hits: 0, misses: 0 };
+    for (const { job } of jobs) {
+      cacheStats.hits += job?.cacheStats.hits || 0;
+      cacheStats.misses += job?.cacheStats.misses || 0;
     }
+    const tally = firstJob
+      ? this.parser.frequencyService.formatTally(
+          allMerged,
+          firstJob.options.providers
+        ) + "\n"
+      : "";
+    await this.bot.sendMessage(userId, tally + formatCacheStats(cacheStats));
   }
 
   async handleUnauthorized(msg) {
@@ -1845,19 +5607,64 @@ class BotHandlers {
 // Initialize services
 const logService = new LogService();
 const fileService = new FileService(bot, logService);
-const evirmaClient = new EvirmaClient(fileService);
-const wildberriesParser = new WildberriesParser(
+const frequencyCache = new FrequencyCache(
+  frequencyCachePath,
+  FREQUENCY_CACHE_TTL_HOURS,
+  FREQUENCY_CACHE_MAX_ENTRIES,
+  logService
+);
+const evirmaClient = new EvirmaClient(fileService, frequencyCache);
+// Локальный источник подключаем только явно, иначе в отчеты пользователей
+// попали бы выдуманные частоты
+const frequencyProviders = [evirmaClient];
+if (
+  process.env.LOCAL_FREQUENCY_FILE ||
+  process.env.LOCAL_FREQUENCY_STUB === "1"
+) {
+  frequencyProviders.push(
+    new LocalFrequencyProvider(process.env.LOCAL_FREQUENCY_FILE)
+  );
+}
+const frequencyService = new FrequencyService(
+  frequencyProviders,
   fileService,
-  evirmaClient,
   logService
 );
-const excelParser = new ExcelParser(bot, fileService, evirmaClient, logService);
+const jobStore = new JobStore(jobsDir);
+const semanticCoreBuilder = new SemanticCoreBuilder(
+  frequencyService,
+  logService
+);
+const historyStore = new HistoryStore(
+  historyDir,
+  HISTORY_SNAPSHOTS,
+  logService
+);
+const wildberriesParser = new WildberriesParser(
+  fileService,
+  frequencyService,
+  logService,
+  jobStore,
+  semanticCoreBuilder,
+  historyStore
+);
+const columnMappingStore = new UserSettingsStore(columnMappingsPath);
+const outputFormatStore = new UserSettingsStore(outputFormatsPath);
+const excelParser = new ExcelParser(
+  bot,
+  fileService,
+  frequencyService,
+  logService,
+  historyStore,
+  columnMappingStore
+);
 const botHandlers = new BotHandlers(
   bot,
   wildberriesParser,
   logService,
   excelParser,
-  fileService
+  fileService,
+  outputFormatStore
 );
 
 // Устанавливаем ссылку на botHandlers в excelParser